@@ -0,0 +1,96 @@
+// ===== PROCESS VARIANT SWITCHER =====
+// Starts the shared engine (see shared/engine.js) with the variant and seed
+// named in the URL (?variant=twoHand&seed=7) and switches variants from the
+// selector without reloading the page. Saved sessions replay from here too,
+// since they may need another variant and seed.
+
+const DEFAULT_VARIANT = 'singleHand';
+
+const engine = createEngine();
+const variantSelect = document.getElementById('variantSelect');
+const seedInput = document.getElementById('seedInput');
+const sessionStatus = document.getElementById('sessionStatus');
+
+Object.values(PROCESS_VARIANTS).forEach(definition => {
+  const option = document.createElement('option');
+  option.value = definition.name;
+  option.textContent = definition.title || definition.name;
+  variantSelect.appendChild(option);
+});
+
+function loadVariant(name) {
+  engine.load(name);
+  variantSelect.value = name;
+  document.title = `${PROCESS_VARIANTS[name].title} - Filament Bundling System`;
+  updateUrl();
+}
+
+function setSeed(seed) {
+  engine.setSeed(seed);
+  seedInput.value = engine.seed;
+  if (engine.name) updateUrl();
+}
+
+function updateUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.set('variant', engine.name);
+  url.searchParams.set('seed', engine.seed);
+  history.replaceState(null, '', url);
+}
+
+variantSelect.addEventListener('change', () => loadVariant(variantSelect.value));
+
+seedInput.addEventListener('change', () => {
+  if (parseSeed(seedInput.value) === null) seedInput.value = engine.seed;
+  else setSeed(seedInput.value);
+});
+
+// ===== SESSIONS =====
+document.getElementById('sessionSave').addEventListener('click', () => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([sessionToJSON(engine.session)], { type: 'application/json' }));
+  link.download = `${engine.name}-seed${engine.seed}-session.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+const sessionLoad = document.getElementById('sessionLoad');
+sessionLoad.addEventListener('change', () => {
+  const file = sessionLoad.files[0];
+  if (!file) return;
+  file.text().then(text => {
+    try {
+      const session = parseSessionJSON(text);
+      setSeed(session.seed);
+      loadVariant(session.app);
+      engine.playSession(session);
+    } catch (error) {
+      sessionStatus.textContent = `${file.name}: ${error.message}`;
+      sessionStatus.classList.add('config-error');
+    }
+    sessionLoad.value = '';
+  });
+});
+
+bindRecorder(engine, {
+  button: document.getElementById('recordBtn'),
+  status: document.getElementById('recordStatus'),
+  mode: document.getElementById('recordMode'),
+  from: document.getElementById('recordFrom'),
+  to: document.getElementById('recordTo'),
+  cycles: document.getElementById('recordCycles'),
+  fps: document.getElementById('recordFps'),
+  format: document.getElementById('recordFormat'),
+  overlay: document.getElementById('recordOverlay')
+});
+
+bindEventExport(engine, {
+  csvButton: document.getElementById('eventsCsv'),
+  jsonButton: document.getElementById('eventsJson')
+});
+
+const params = new URLSearchParams(window.location.search);
+const requested = params.get('variant');
+const requestedSeed = parseSeed(params.get('seed'));
+setSeed(requestedSeed === null ? DEFAULT_SEED : requestedSeed);
+loadVariant(PROCESS_VARIANTS[requested] ? requested : DEFAULT_VARIANT);
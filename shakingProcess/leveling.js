@@ -0,0 +1,28 @@
+// ===== VIBRATION LEVELING MODEL =====
+// What the shakingProcess press makes of a raw bundle, from the recipe in
+// MACHINE_CONFIG.leveling. Heights and unevenness are in mm.
+//   compression  share of the raw height the press takes off:
+//                maxCompression · F / (F + halfForce) for press force F
+//   flatness     end-face unevenness left after shaking: the raw
+//                unevenness decays as exp(-levelingRate · shakes · stroke),
+//                where shakes = frequency · duration, stroke is the
+//                amplitude relative to referenceAmplitude and press force
+//                holds the strands back (frictionForce halves the rate)
+//   height       the compressed height plus the strands still standing proud
+// A bundle whose flatness is above flatnessLimit is flagged uneven.
+
+function levelBundle(rawHeight, rawUnevenness, recipe) {
+  const force = recipe.pressForce;
+  const compression = recipe.maxCompression * force / (force + recipe.halfForce);
+  const shakes = recipe.shakeFrequency * recipe.shakeDuration;
+  const stroke = recipe.shakeAmplitude / recipe.referenceAmplitude;
+  const friction = 1 + force / recipe.frictionForce;
+  const flatness = rawUnevenness * Math.exp(-recipe.levelingRate * shakes * stroke / friction);
+  return {
+    compression,
+    shakes,
+    flatness,
+    height: rawHeight * (1 - compression) + flatness,
+    uneven: flatness > recipe.flatnessLimit
+  };
+}
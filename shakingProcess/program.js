@@ -0,0 +1,100 @@
+// ===== PRESS + VIBRATION + WRAP PROCESS PROGRAM =====
+// Data-only motion sequence, interpreted by ../shared/timeline.js.
+// Angles are in degrees (0 = arms pointing at the TOP platform), jaw values
+// are the half-opening of each gripper. Each arm runs the program on its
+// own clock; `press.*` channels drive its press, `bundles.*` channels its
+// bundle while it rests outside the gripper.
+// `press.close` takes the top plates from open (0) down onto the pressed
+// height the leveling model gives each bundle (1), once the gripper has let
+// go; `$pressBundleY` is where bundles rest in the press.
+// `fault` events are points where a fault may occur (../shared/faults.js).
+// `tape.progress` is the share of the tape helix wound on
+// (../shared/parts.js), full at the swap.
+// `busy` lists the resource units a phase occupies (../shared/throughput.js).
+// The shake follows the leveling recipe in the variant's config; the
+// `vibration` phase below takes its default duration, the variant sets the
+// configured one per cycle (its rig's phaseDurations, see ../shared/timeline.js).
+
+defineProgram({
+  name: 'shakingProcess',
+  cycleDuration: 14,
+  easing: 'quad',
+  resources: { arm: 2, press: 2, wrapper: 2 },
+  output: { event: 'place', bundles: 2 },
+  phases: [
+    {
+      name: 'spawn', start: 0, end: 1, label: '📦 Spawning bundles...',
+      keys: { 'leftArm.yaw': 0, 'rightArm.yaw': 0, 'jaws.open': 0.35, 'bundles.scale': [0.01, 1] },
+      events: [{ at: 0, type: 'spawn' }]
+    },
+    {
+      name: 'pickup', start: 1, end: 3, label: '🦾 Picking up bundles...', busy: { arm: 2 },
+      keys: { 'leftArm.yaw': 0, 'rightArm.yaw': 0, 'jaws.open': [0.35, 0.2] },
+      events: [{ at: 0.5, type: 'attach', offset: [0, 0.2, -5.2] }]
+    },
+    {
+      name: 'transport_to_press', start: 3, end: 5, label: '🔄 Transporting to PRESS machines...', busy: { arm: 2 },
+      keys: { 'leftArm.yaw': [0, 90], 'rightArm.yaw': [0, -90], 'jaws.open': 0.2 },
+      events: [{ at: 0.5, type: 'fault', fault: 'droppedBundle' }]
+    },
+    {
+      name: 'press_down', start: 5, end: 6.5, label: '⬇️ Pressing down...', busy: { arm: 2, press: 2 },
+      keys: {
+        'leftArm.yaw': 90, 'rightArm.yaw': -90,
+        'jaws.open': { keys: [[0, 0.2], [0.3, 0.2], [0.3, 0.4], [1, 0.4]] },
+        'press.close': { keys: [[0, 0], [0.3, 0], [1, 1]] },
+        'press.shake': 0,
+        'bundles.compress': [0, 1],
+        'bundles.settle': 0,
+        'bundles.y': [1.5, '$pressBundleY']
+      },
+      events: [{ at: 0.3, type: 'release', y: 1.5 }]
+    },
+    {
+      name: 'vibration', start: 6.5, end: 7.5, label: '📳 Shaking to level filaments...', busy: { press: 2 },
+      keys: {
+        'press.close': 1,
+        'press.shake': { wave: 'sine', hz: '$leveling.shakeFrequency', amp: '$leveling.shakeAmplitude', decay: 0.7 },
+        'bundles.settle': { keys: [[0, 0], [1, 1]], easing: 'linear' },
+        'bundles.y': '$pressBundleY'
+      }
+    },
+    {
+      name: 'hold_pressed', start: 7.5, end: 8.5, label: '⏸️ Holding compressed...', busy: { press: 2 },
+      keys: { 'press.close': 1, 'press.shake': 0, 'bundles.y': '$pressBundleY' },
+      events: [{ at: 0.3, type: 'fault', fault: 'pressStuck' }]
+    },
+    {
+      name: 'release', start: 8.5, end: 9.5, label: '⬆️ Releasing from press...', busy: { press: 2 },
+      keys: { 'press.close': [1, 0] },
+      events: [{ at: 0, type: 'pressed' }]
+    },
+    {
+      name: 'wrapping', start: 9.5, end: 11.5, label: '🎁 WRAPPING with tape...', busy: { wrapper: 2 },
+      keys: {
+        'bundles.y': 1.6,
+        'bundles.spin': { keys: [[0, 0], [1, 720]], easing: 'linear' },
+        'tape.progress': { keys: [[0, 0], [0.8, 1], [1, 1]], easing: 'linear' }
+      },
+      events: [
+        { at: 0.1, type: 'fault', fault: 'emptyTape' },
+        { at: 0.5, type: 'fault', fault: 'wrapperJam' },
+        { at: 0.8, type: 'swap', into: 'wrapped' }
+      ]
+    },
+    {
+      name: 'eject', start: 11.5, end: 12, label: '✅ Wrapped! Ejecting...', busy: { arm: 2, wrapper: 2 },
+      keys: { 'bundles.y': 1.6, 'bundles.spin': 0, 'leftArm.yaw': 90, 'rightArm.yaw': -90, 'jaws.open': [0.4, 0.2] },
+      events: [{ at: 0.5, type: 'attach', offset: [0, 0.2, -5.2] }]
+    },
+    {
+      name: 'transport_to_tray', start: 12, end: 13, label: '🔄 Moving to output trays...', busy: { arm: 2 },
+      keys: { 'leftArm.yaw': [90, 135], 'rightArm.yaw': [-90, -135], 'jaws.open': 0.2 }
+    },
+    {
+      name: 'place_in_tray', start: 13, end: 14, label: '📍 Placed in tray!', busy: { arm: 2 },
+      keys: { 'leftArm.yaw': 135, 'rightArm.yaw': -135, 'jaws.open': [0.2, 0.4] },
+      events: [{ at: 0.5, type: 'place' }]
+    }
+  ]
+});
@@ -0,0 +1,701 @@
+// ===== FILAMENT BUNDLING SYSTEM WITH COMPLETE ANIMATIONS =====
+// Press + vibration variant: TOP → ARMS → PRESS → WRAPPER → TRAYS, with a
+// leveling model of the press recipe (see leveling.js; runs on
+// ../shared/engine.js)
+
+defineVariant({
+  name: 'shakingProcess',
+  title: 'Filament Bundling System',
+  subtitle: 'TOP → DUAL ARMS → PRESS & VIBRATION → WRAPPING → OUTPUT TRAYS',
+  program: PROCESS_PROGRAMS.shakingProcess,
+  view: {
+    camera: [18, 14, 18],
+    background: '#000000',
+    fog: [30, 100],
+    grid: 40,
+    maxDistance: 50
+  },
+
+  // MACHINE CONFIGURATION
+  config: {
+    // PRESS MACHINES (plates shake the bundle before wrapping)
+    press: {
+      plateColor: '#C0C0C0',
+      baseColor: '#808080'
+    },
+
+    // WRAPPING MACHINES
+    wrapper: {
+      bodyColor: '#00AA00',
+      diskColor: '#FFA500'
+    },
+
+    // OUTPUT TRAYS
+    leftTray: {
+      x: -6, y: 0.3, z: 4,
+      width: 3.5,
+      depth: 3.5,
+      height: 0.5,
+      color: '#8B4513',
+      rows: 2,
+      cols: 4,
+      pitch: 0.7 // distance between slot centres
+    },
+
+    rightTray: {
+      x: 6, y: 0.3, z: 4,
+      width: 3.5,
+      depth: 3.5,
+      height: 0.5,
+      color: '#8B4513',
+      rows: 2,
+      cols: 4,
+      pitch: 0.7
+    },
+
+    // FAULTS (see ../shared/faults.js); `scheduled` cycles count from 0,
+    // e.g. { type: 'pressStuck', cycle: 2, side: 'left' }
+    faults: {
+      inject: false,      // random faults at the program's fault points
+      autoRecover: false, // clear alarms after their repair time
+      probability: { droppedBundle: 0.02, pressStuck: 0.02, emptyTape: 0.02, wrapperJam: 0.03 },
+      scheduled: [],
+      alarmColor: '#FF5459'
+    },
+
+    // RAW BUNDLE (glows faintly so fresh bundles stand out), drawn strand by
+    // strand: strands start tilted by up to `tilt` radians and settle
+    // straight while the press shakes them
+    rawBundle: {
+      radius: 0.35,
+      height: 0.8,
+      color: '#F5DEB3',
+      emissive: '#FFFFAA',
+      emissiveIntensity: 0.2,
+      strands: 300,
+      strandRadius: 0.018,
+      tilt: 0.15
+    },
+
+    // PRESS RECIPE AND LEVELING MODEL (see leveling.js). The raw end face is
+    // uneven by a uniform draw within unevennessLimits (mm); bundles left
+    // more uneven than flatnessLimit (mm) after shaking are flagged.
+    leveling: {
+      pressForce: 600,          // N
+      shakeFrequency: 8,        // Hz
+      shakeAmplitude: 0.1,      // plate stroke, scene units
+      shakeDuration: 1,         // s
+      maxCompression: 0.5,      // share of the raw height at unlimited force
+      halfForce: 200,           // N for half of maxCompression
+      unevennessLimits: [3, 7],
+      levelingRate: 0.5,        // per shake at referenceAmplitude without press friction
+      referenceAmplitude: 0.1,
+      frictionForce: 600,       // N that halves the leveling rate
+      flatnessLimit: 1.5
+    },
+
+    // WRAPPED BUNDLE (four bands of tape; its height is the pressed height)
+    wrappedBundle: {
+      radius: 0.35,
+      bodyColor: '#CD853F',
+      bandColor: '#FFFFFF',
+      bands: [-0.15, -0.05, 0.05, 0.15],
+      bandLength: 0.08,
+      tapeWidth: 0.04,
+      overlap: 0.5,
+      wraps: 1,
+      tapeThickness: 0.0015
+    }
+  },
+
+  panel: `
+    <div class="panel">
+      <div class="progress-bar"><div class="progress-fill" id="progressFill"></div></div>
+      <span class="cycle-counter" style="color: #FF6B6B;">Left tray: <span id="leftCount">0</span></span>
+      <span class="cycle-counter" style="color: #4ECDC4;">Right tray: <span id="rightCount">0</span></span>
+    </div>
+    <div class="panel">
+      <span class="info-panel">📏 Flatness: <span id="leftFlatness" style="color: #FF6B6B;">—</span> · <span id="rightFlatness" style="color: #4ECDC4;">—</span></span>
+      <span class="info-panel">Pressed height: <span id="leftPressedHeight" style="color: #FF6B6B;">—</span> · <span id="rightPressedHeight" style="color: #4ECDC4;">—</span></span>
+      <span class="cycle-counter" style="color: #FF5459;">⚠️ Uneven: <span id="unevenCount">0</span></span>
+    </div>`,
+
+  create: createShakingCell
+});
+
+function createShakingCell(engine) {
+  const MACHINE_CONFIG = engine.config;
+  const scene = engine.scene;
+  const faults = engine.faults;
+
+  // Animation phases, keyframes and events live in program.js
+  // (interpreted by ../shared/timeline.js). Each arm runs the program on its
+  // own clock, so an alarm holds only the arm of its side.
+  const clocks = createSideClocks(['left', 'right']);
+
+  // A few mm of uneven strands would not show, so they are drawn this much higher
+  const UNEVEN_DRAW_SCALE = 5;
+  const PROUD_STRANDS = 12;
+
+  // Machine components
+  const machine = {
+    topPlatform: null,
+    centerBase: null,
+    leftArm: null,
+    rightArm: null,
+    leftPress: { topPlate: null, bottomPlate: null, pistons: [] },
+    rightPress: { topPlate: null, bottomPlate: null, pistons: [] },
+    leftWrapper: { body: null, disk: null },
+    rightWrapper: { body: null, disk: null },
+    leftTray: null,
+    rightTray: null
+  };
+
+  // Active bundles
+  let leftBundle = null;
+  let rightBundle = null;
+  let leftTrayBundles = [];
+  let rightTrayBundles = [];
+
+  // UI elements
+  const ui = {
+    currentPhase: document.getElementById('cycleText'),
+    cycleTime: document.getElementById('cycleTimer'),
+    leftCount: document.getElementById('leftCount'),
+    rightCount: document.getElementById('rightCount'),
+    progressFill: document.getElementById('progressFill'),
+    leftFlatness: document.getElementById('leftFlatness'),
+    rightFlatness: document.getElementById('rightFlatness'),
+    leftPressedHeight: document.getElementById('leftPressedHeight'),
+    rightPressedHeight: document.getElementById('rightPressedHeight'),
+    unevenCount: document.getElementById('unevenCount')
+  };
+
+  // Tray counters follow the production events (../shared/events.js)
+  engine.events.subscribe('placed', event => {
+    ui[event.side + 'Count'].textContent = engine.events.count('placed', event.side);
+  });
+
+  // Leveling results of the last bundle out of each press
+  engine.events.subscribe('pressed', event => {
+    ui[event.side + 'Flatness'].textContent = `${event.flatness.toFixed(2)} mm${event.uneven ? ' ⚠️' : ''}`;
+    ui[event.side + 'PressedHeight'].textContent = `${event.height.toFixed(1)} mm`;
+    ui.unevenCount.textContent = engine.events.events.filter(e => e.type === 'pressed' && e.uneven).length;
+  });
+
+  // ===== BUILD MACHINES =====
+  const SCENE_SECTIONS = {
+    cell: { build: buildCell, uses: [] },
+    presses: { build: () => ['left', 'right'].forEach(buildPress), uses: ['press'] },
+    wrappers: { build: () => ['left', 'right'].forEach(buildWrapper), uses: ['wrapper'] },
+    leftTray: { build: () => buildTray('left'), uses: ['leftTray'] },
+    rightTray: { build: () => buildTray('right'), uses: ['rightTray'] }
+  };
+
+  const STATION_X = { left: -6, right: 6 };
+  // Press top plate: open height of its centre and thickness. Bundles rest
+  // in the press with their centre at PRESS_BUNDLE_Y.
+  const PRESS_OPEN_Y = 2.35;
+  const PRESS_PLATE_THICKNESS = 0.3;
+  const PRESS_BUNDLE_Y = 1.35;
+
+  function buildCell() {
+    // TOP PLATFORM
+    const topGeo = new THREE.BoxGeometry(4, 0.4, 2.5);
+    const topMat = new THREE.MeshStandardMaterial({ color: 0x555555, metalness: 0.6, roughness: 0.4 });
+    machine.topPlatform = new THREE.Mesh(topGeo, topMat);
+    machine.topPlatform.position.set(0, 6, -7);
+    machine.topPlatform.castShadow = true;
+    machine.topPlatform.receiveShadow = true;
+    scene.add(machine.topPlatform);
+
+    // CENTER BASE
+    const baseGeo = new THREE.CylinderGeometry(1.5, 1.5, 0.6, 32);
+    const baseMat = new THREE.MeshStandardMaterial({ color: 0x4444FF, metalness: 0.8, roughness: 0.2 });
+    machine.centerBase = new THREE.Mesh(baseGeo, baseMat);
+    machine.centerBase.position.set(0, 0.3, 0);
+    machine.centerBase.castShadow = true;
+    scene.add(machine.centerBase);
+
+    // ARMS
+    machine.leftArm = createArm(-2.5, 0.8, 0, 0xFF6B6B);
+    machine.rightArm = createArm(2.5, 0.8, 0, 0x4ECDC4);
+    scene.add(machine.leftArm.group);
+    scene.add(machine.rightArm.group);
+  }
+
+  function createArm(x, y, z, color) {
+    const group = new THREE.Group();
+    group.position.set(x, y, z);
+
+    // Segment 1
+    const seg1 = new THREE.Mesh(
+      new THREE.BoxGeometry(0.35, 0.3, 2.5),
+      new THREE.MeshStandardMaterial({ color, metalness: 0.6, roughness: 0.3 })
+    );
+    seg1.position.z = -1.25;
+    seg1.castShadow = true;
+    group.add(seg1);
+
+    // Segment 2
+    const seg2 = new THREE.Mesh(
+      new THREE.BoxGeometry(0.3, 0.25, 2.2),
+      new THREE.MeshStandardMaterial({ color, metalness: 0.6, roughness: 0.3 })
+    );
+    seg2.position.z = -3.6;
+    seg2.castShadow = true;
+    group.add(seg2);
+
+    // Gripper
+    const gripper = new THREE.Mesh(
+      new THREE.BoxGeometry(0.75, 0.2, 0.5),
+      new THREE.MeshStandardMaterial({ color: 0x888888, metalness: 0.7, roughness: 0.3 })
+    );
+    gripper.position.z = -5;
+    gripper.castShadow = true;
+    group.add(gripper);
+
+    // Gripper jaws
+    const jawLeft = new THREE.Mesh(
+      new THREE.BoxGeometry(0.15, 0.15, 0.3),
+      new THREE.MeshStandardMaterial({ color: 0x666666 })
+    );
+    jawLeft.position.set(-0.35, 0, -5.2);
+    jawLeft.castShadow = true;
+    group.add(jawLeft);
+
+    const jawRight = new THREE.Mesh(
+      new THREE.BoxGeometry(0.15, 0.15, 0.3),
+      new THREE.MeshStandardMaterial({ color: 0x666666 })
+    );
+    jawRight.position.set(0.35, 0, -5.2);
+    jawRight.castShadow = true;
+    group.add(jawRight);
+
+    return { group, gripper, jawLeft, jawRight };
+  }
+
+  function buildPress(side) {
+    const cfg = MACHINE_CONFIG.press;
+    const x = STATION_X[side], y = 2, z = 0;
+    const press = { topPlate: null, bottomPlate: null, pistons: [] };
+
+    // Bottom plate
+    const bottomGeo = new THREE.BoxGeometry(1.5, 0.3, 1.5);
+    const bottomMat = new THREE.MeshStandardMaterial({ color: cfg.baseColor, metalness: 0.7, roughness: 0.3 });
+    press.bottomPlate = new THREE.Mesh(bottomGeo, bottomMat);
+    press.bottomPlate.position.set(x, y - 1.15, z);
+    press.bottomPlate.castShadow = true;
+    press.bottomPlate.receiveShadow = true;
+    scene.add(press.bottomPlate);
+
+    // Top plate
+    const topGeo = new THREE.BoxGeometry(1.5, PRESS_PLATE_THICKNESS, 1.5);
+    const topMat = new THREE.MeshStandardMaterial({ color: cfg.plateColor, metalness: 0.8, roughness: 0.2 });
+    press.topPlate = new THREE.Mesh(topGeo, topMat);
+    press.topPlate.position.set(x, PRESS_OPEN_Y, z);
+    press.topPlate.castShadow = true;
+    scene.add(press.topPlate);
+
+    // Pistons
+    const pistonPositions = [
+      [-0.6, -0.6], [0.6, -0.6], [-0.6, 0.6], [0.6, 0.6]
+    ];
+    pistonPositions.forEach(([px, pz]) => {
+      const piston = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.08, 0.08, 1.5, 16),
+        new THREE.MeshStandardMaterial({ color: 0xA0A0A0 })
+      );
+      piston.position.set(x + px, y - 0.4, z + pz);
+      piston.castShadow = true;
+      scene.add(piston);
+      press.pistons.push(piston);
+    });
+
+    machine[side + 'Press'] = press;
+  }
+
+  function buildWrapper(side) {
+    const cfg = MACHINE_CONFIG.wrapper;
+    const x = STATION_X[side], y = 0, z = 0;
+    const wrapper = { body: null, disk: null };
+
+    // Body
+    const bodyGeo = new THREE.BoxGeometry(2.5, 3.2, 2);
+    const bodyMat = new THREE.MeshStandardMaterial({
+      color: cfg.bodyColor,
+      metalness: 0.6,
+      roughness: 0.4,
+      transparent: true,
+      opacity: 0.85
+    });
+    wrapper.body = new THREE.Mesh(bodyGeo, bodyMat);
+    wrapper.body.position.set(x, y + 1.6, z);
+    wrapper.body.castShadow = true;
+    scene.add(wrapper.body);
+
+    // Disk
+    const diskGeo = new THREE.CylinderGeometry(1, 1, 0.35, 32);
+    const diskMat = new THREE.MeshStandardMaterial({
+      color: cfg.diskColor,
+      metalness: 0.7,
+      roughness: 0.3
+    });
+    wrapper.disk = new THREE.Mesh(diskGeo, diskMat);
+    wrapper.disk.position.set(x, y + 3.2, z);
+    wrapper.disk.castShadow = true;
+    scene.add(wrapper.disk);
+
+    machine[side + 'Wrapper'] = wrapper;
+  }
+
+  function buildTray(side) {
+    machine[side + 'Tray'] = createTray(MACHINE_CONFIG[side + 'Tray']);
+    scene.add(machine[side + 'Tray']);
+  }
+
+  // Strand ends standing proud of a wrapped bundle's top face, up to the
+  // leveling flatness and red on a flagged bundle. `top` is the face's
+  // height above the bundle centre. The strands share the strand bundles'
+  // geometry and materials (see ../shared/parts.js).
+  function addProudStrands(bundle, radius, top, leveling) {
+    const random = engine.randomStream(`proud:${bundle.userData.bundleId}`);
+    const color = leveling.uneven ? MACHINE_CONFIG.faults.alarmColor : MACHINE_CONFIG.rawBundle.color;
+    for (let i = 0; i < PROUD_STRANDS; i++) {
+      const length = Math.max(0.001, leveling.flatness / MM_PER_UNIT * UNEVEN_DRAW_SCALE * random());
+      const angle = random() * Math.PI * 2;
+      const r = Math.sqrt(random()) * radius * 0.85;
+      const strand = createStrand({ color });
+      strand.scale.set(0.03, length, 0.03);
+      strand.position.set(Math.cos(angle) * r, top + length / 2, Math.sin(angle) * r);
+      bundle.add(strand);
+    }
+  }
+
+  // ===== ANIMATION PHASES =====
+  // Panel readouts for the arms' timeline states; returns the cell's state
+  function showStates(states) {
+    const state = clocks.cellState(states);
+    if (state) ui.progressFill.style.width = (state.loopTime / engine.timeline.layoutOf(state.cycle).duration) * 100 + '%';
+    if (states.left && states.right) {
+      ui.cycleTime.textContent = states.left.loopTime === states.right.loopTime
+        ? states.left.loopTime.toFixed(1) + 's'
+        : `L ${states.left.loopTime.toFixed(1)}s · R ${states.right.loopTime.toFixed(1)}s`;
+    }
+    if (faults.isStopped()) {
+      ui.currentPhase.textContent = '🚨 ALARM: ' + faults.active.map(a => `${a.side.toUpperCase()} ${a.label}`).join(' | ');
+    } else if (states.left && states.right) {
+      ui.currentPhase.textContent = states.left.phase === states.right.phase
+        ? states.left.phase.label
+        : `LEFT: ${states.left.phase.label} | RIGHT: ${states.right.phase.label}`;
+    }
+
+    // Rotate wrapper disks (3 rad/s, a function of each arm's clock so
+    // seeking reproduces it)
+    clocks.sides.forEach(side => {
+      if (machine[side + 'Wrapper'].disk) machine[side + 'Wrapper'].disk.rotation.y = clocks.time(side) * 3;
+    });
+    return state;
+  }
+
+  // ===== SIMULATION =====
+  // Advanced in fixed steps by the scrubber so any moment can be rebuilt by
+  // resetting and replaying. The timeline is advanced once per arm; an
+  // alarm holds the arm of its side while the other keeps running.
+  function stepSimulation(dt) {
+    faults.update(dt);
+    return showStates(clocks.advance(engine.timeline, dt, side => faults.isStopped(side)));
+  }
+
+  function resetSimulation() {
+    clocks.reset();
+
+    // Remove all bundles (held ones hang off the arm groups)
+    [leftBundle, rightBundle, ...leftTrayBundles, ...rightTrayBundles].forEach(b => {
+      if (!b) return;
+      b.parent.remove(b);
+      disposeStrandBundle(b);
+    });
+
+    leftBundle = null;
+    rightBundle = null;
+    leftTrayBundles = [];
+    rightTrayBundles = [];
+
+    ui.leftCount.textContent = '0';
+    ui.rightCount.textContent = '0';
+    ['left', 'right'].forEach(side => {
+      ui[side + 'Flatness'].textContent = '—';
+      ui[side + 'PressedHeight'].textContent = '—';
+    });
+    ui.unevenCount.textContent = '0';
+    showStates(clocks.applyChannels(engine.timeline));
+  }
+
+  // ===== ALARMS =====
+  // Raised at the program's `fault` events by the controller in
+  // ../shared/faults.js; the faulty press or wrapper turns red.
+  function raiseAlarm(alarm) {
+    if (alarm.type === 'droppedBundle') {
+      // The bundle falls out of the gripper and is scrapped on recovery
+      const bundle = alarm.side === 'left' ? leftBundle : rightBundle;
+      engine.events.emit('scrapped', { bundle: bundle.userData.bundleId, side: alarm.side, reason: 'dropped' });
+      scene.attach(bundle);
+      bundle.position.y = 0.35;
+      bundle.rotation.set(Math.PI / 2, 0, 0);
+      bundle.userData.stage = 'dropped';
+      alarm.bundle = bundle;
+      if (alarm.side === 'left') leftBundle = null;
+      else rightBundle = null;
+    }
+    updateAlarmVisuals();
+  }
+
+  function clearAlarm(alarm) {
+    if (alarm.bundle) {
+      scene.remove(alarm.bundle);
+      disposeStrandBundle(alarm.bundle);
+      alarm.bundle = null;
+    }
+    updateAlarmVisuals();
+  }
+
+  function updateAlarmVisuals() {
+    const alarmColor = MACHINE_CONFIG.faults.alarmColor;
+    ['left', 'right'].forEach(side => {
+      const down = type => faults.active.some(a => a.side === side && a.type === type);
+      const pressColor = down('pressStuck') ? alarmColor : MACHINE_CONFIG.press.plateColor;
+      const wrapperColor = down('wrapperJam') || down('emptyTape') ? alarmColor : MACHINE_CONFIG.wrapper.bodyColor;
+      machine[side + 'Press'].topPlate.material.color.set(pressColor);
+      machine[side + 'Wrapper'].body.material.color.set(wrapperColor);
+    });
+  }
+
+  // ===== TIMELINE RIG =====
+  // Maps the channel and event names used in program.js onto the scene.
+  // The timeline is advanced once per arm with that arm as ctx.side, and
+  // channels and events act on that side only. Bundles carry a stage in userData: 'top' (on the platform), 'held'
+  // (in a gripper) or 'station' (in the press / wrapper); from the press on
+  // they carry their leveling result (leveling.js) in userData.leveling.
+  function buildRig() {
+    const SIDES = [
+      { name: 'left', arm: () => machine.leftArm, press: () => machine.leftPress, tray: () => leftTrayBundles, x: STATION_X.left, spawnX: -0.5 },
+      { name: 'right', arm: () => machine.rightArm, press: () => machine.rightPress, tray: () => rightTrayBundles, x: STATION_X.right, spawnX: 0.5 }
+    ];
+    const getBundle = i => i === 0 ? leftBundle : rightBundle;
+    const setBundle = (i, bundle) => {
+      if (i === 0) leftBundle = bundle;
+      else rightBundle = bundle;
+    };
+    // The arm the timeline is being advanced for (see stepSimulation)
+    const onSide = (ctx, fn) => {
+      const i = SIDES.findIndex(side => side.name === ctx.side);
+      fn(SIDES[i], i);
+    };
+    const eachBundle = (ctx, stage, fn) => {
+      onSide(ctx, (side, i) => {
+        const bundle = getBundle(i);
+        if (bundle && bundle.userData.stage === stage) fn(bundle, side);
+      });
+    };
+    const setYaw = (arm, deg) => { arm.group.rotation.y = THREE.MathUtils.degToRad(deg); };
+
+    // Top plate height on a bundle pressed as its leveling result says; an
+    // empty press closes as far as on an uncompressed bundle
+    const closedPlateY = bundle => {
+      const leveling = bundle && bundle.userData.stage === 'station' ? bundle.userData.leveling : null;
+      const height = MACHINE_CONFIG.rawBundle.height * (1 - (leveling ? leveling.compression : 0));
+      return PRESS_BUNDLE_Y + height / 2 + PRESS_PLATE_THICKNESS / 2;
+    };
+
+    return {
+      config: Object.assign({}, MACHINE_CONFIG, { pressBundleY: PRESS_BUNDLE_Y }),
+
+      context: () => ({ side: clocks.side }),
+
+      // The shake lasts as long as the recipe says
+      phaseDurations: () => ({ vibration: MACHINE_CONFIG.leveling.shakeDuration }),
+
+      channels: {
+        'leftArm.yaw': (deg, ctx) => { if (ctx.side === 'left') setYaw(machine.leftArm, deg); },
+        'rightArm.yaw': (deg, ctx) => { if (ctx.side === 'right') setYaw(machine.rightArm, deg); },
+        'jaws.open': (dist, ctx) => {
+          onSide(ctx, side => {
+            side.arm().jawLeft.position.x = -dist;
+            side.arm().jawRight.position.x = dist;
+          });
+        },
+        'press.close': (share, ctx) => {
+          onSide(ctx, (side, i) => {
+            side.press().topPlate.position.y = PRESS_OPEN_Y + (closedPlateY(getBundle(i)) - PRESS_OPEN_Y) * share;
+          });
+        },
+        // Horizontal shake of plates and pressed bundles
+        'press.shake': (dx, ctx) => {
+          onSide(ctx, side => { side.press().topPlate.position.x = side.x + dx; });
+          eachBundle(ctx, 'station', (bundle, side) => { bundle.position.x = side.x + dx; });
+        },
+        // Fade-in of freshly spawned bundles
+        'bundles.scale': (scale, ctx) => {
+          eachBundle(ctx, 'top', bundle => bundle.scale.set(scale, scale, scale));
+        },
+        // Strands settling while the press shakes: from their spawn pose to
+        // as aligned as the leveling model leaves them
+        'bundles.settle': (settle, ctx) => {
+          eachBundle(ctx, 'station', bundle => {
+            const { leveling, unevenness, arrange } = bundle.userData;
+            if (arrange && leveling) arrange(settle, leveling.flatness / unevenness);
+          });
+        },
+        // Compression of raw bundles under the press plate, as a share of
+        // what the leveling model takes off them
+        'bundles.compress': (share, ctx) => {
+          eachBundle(ctx, 'station', bundle => {
+            if (!bundle.userData.wrapped) bundle.scale.y = 1 - share * bundle.userData.leveling.compression;
+          });
+        },
+        'bundles.y': (y, ctx) => {
+          eachBundle(ctx, 'station', bundle => { bundle.position.y = y; });
+        },
+        'bundles.spin': (deg, ctx) => {
+          eachBundle(ctx, 'station', bundle => { bundle.rotation.y = THREE.MathUtils.degToRad(deg); });
+        },
+        // Tape wound on the pressed bundles so far
+        'tape.progress': (share, ctx) => {
+          eachBundle(ctx, 'station', bundle => {
+            if (!bundle.userData.wrapped) windTape(bundle, MACHINE_CONFIG.wrappedBundle, share);
+          });
+        }
+      },
+
+      events: {
+        spawn: (event, ctx) => {
+          onSide(ctx, (side, i) => {
+            if (getBundle(i)) return;
+            // Strands out of line by the raw end-face unevenness of the leveling model
+            const index = engine.events.count('bundle_spawned', side.name);
+            const [least, most] = MACHINE_CONFIG.leveling.unevennessLimits;
+            const unevenness = least + (most - least) * engine.random(`unevenness:${side.name}:${index}`);
+            const bundle = createStrandBundle(Object.assign({}, MACHINE_CONFIG.rawBundle, {
+              offset: unevenness / MM_PER_UNIT * UNEVEN_DRAW_SCALE
+            }), engine.randomStream(`strands:${side.name}:${index}`));
+            bundle.userData.unevenness = unevenness;
+            bundle.position.set(side.spawnX, 6.4, -7);
+            bundle.scale.set(0.01, 0.01, 0.01);
+            bundle.userData.stage = 'top';
+            scene.add(bundle);
+            setBundle(i, bundle);
+            engine.events.spawn(bundle, { side: side.name });
+          });
+        },
+
+        // Grippers take the bundles (raw from the platform, wrapped from the wrapper)
+        attach: (event, ctx) => {
+          onSide(ctx, (side, i) => {
+            const bundle = getBundle(i);
+            if (!bundle || bundle.userData.stage === 'held') return;
+            engine.events.emit('picked', {
+              bundle: bundle.userData.bundleId,
+              side: side.name,
+              station: bundle.userData.stage === 'station' ? 'wrapper' : 'top'
+            });
+            side.arm().group.attach(bundle);
+            bundle.position.set(...event.offset);
+            bundle.rotation.set(0, 0, 0);
+            bundle.userData.stage = 'held';
+          });
+        },
+
+        // Open grippers and detach bundles into the presses
+        release: (event, ctx) => {
+          onSide(ctx, (side, i) => {
+            const bundle = getBundle(i);
+            if (!bundle || bundle.userData.stage !== 'held') return;
+            scene.attach(bundle);
+            bundle.position.set(side.x, event.y, 0);
+            bundle.userData.stage = 'station';
+            // The recipe decides how this bundle comes out of the press
+            bundle.userData.leveling = levelBundle(MACHINE_CONFIG.rawBundle.height * MM_PER_UNIT, bundle.userData.unevenness, MACHINE_CONFIG.leveling);
+            engine.events.emit('inserted', { bundle: bundle.userData.bundleId, side: side.name, station: 'press' });
+          });
+        },
+
+        // Presses open again over levelled bundles
+        pressed: (event, ctx) => {
+          onSide(ctx, (side, i) => {
+            const bundle = getBundle(i);
+            if (!bundle || bundle.userData.stage !== 'station') return;
+            const { flatness, height, compression, shakes, uneven } = bundle.userData.leveling;
+            engine.events.emit('pressed', {
+              bundle: bundle.userData.bundleId,
+              side: side.name,
+              flatness: Math.round(flatness * 100) / 100,
+              height: Math.round(height * 10) / 10,
+              compression: Math.round(compression * 1000) / 1000,
+              shakes,
+              uneven
+            });
+          });
+        },
+
+        // Replace with wrapped bundles
+        swap: (event, ctx) => {
+          onSide(ctx, (side, i) => {
+            const bundle = getBundle(i);
+            if (!bundle || bundle.userData.wrapped) return;
+            const leveling = bundle.userData.leveling;
+            const height = MACHINE_CONFIG.rawBundle.height * (1 - leveling.compression);
+            const wrapped = createWrappedBundle(Object.assign({}, MACHINE_CONFIG.wrappedBundle, { height }));
+            wrapped.position.copy(bundle.position);
+            wrapped.rotation.copy(bundle.rotation);
+            wrapped.userData.stage = bundle.userData.stage;
+            wrapped.userData.wrapped = true;
+            wrapped.userData.bundleId = bundle.userData.bundleId;
+            wrapped.userData.leveling = leveling;
+            wrapped.userData.height = height;
+            addProudStrands(wrapped, MACHINE_CONFIG.wrappedBundle.radius, height / 2, leveling);
+            scene.remove(bundle);
+            disposeStrandBundle(bundle);
+            scene.add(wrapped);
+            setBundle(i, wrapped);
+            engine.events.emit('wrapped', { bundle: wrapped.userData.bundleId, side: side.name, tape: wrapped.userData.tape.userData.length });
+          });
+        },
+
+        // Place bundles in the next free slot of each tray
+        place: (event, ctx) => {
+          onSide(ctx, (side, i) => {
+            const bundle = getBundle(i);
+            if (!bundle || bundle.userData.stage !== 'held') return;
+            const trayBundles = side.tray();
+            scene.attach(bundle);
+            bundle.position.copy(traySlotPosition(MACHINE_CONFIG[side.name + 'Tray'], trayBundles.length, bundle.userData.height / 2));
+            bundle.rotation.set(0, 0, 0);
+            bundle.userData.stage = 'tray';
+            trayBundles.push(bundle);
+            setBundle(i, null);
+            engine.events.emit('placed', { bundle: bundle.userData.bundleId, side: side.name, tray: 1, slot: trayBundles.length });
+          });
+        },
+
+        // Fault point on the arm's side: the controller decides whether it happens
+        fault: (event, ctx) => {
+          onSide(ctx, (side, i) => {
+            const bundle = getBundle(i);
+            if (event.fault === 'droppedBundle' && (!bundle || bundle.userData.stage !== 'held')) return;
+            faults.trigger(event.fault, side.name, ctx.cycle);
+          });
+        }
+      }
+    };
+  }
+
+  return {
+    sections: SCENE_SECTIONS,
+    rig: buildRig(),
+    reset: resetSimulation,
+    step: stepSimulation,
+    raiseAlarm,
+    clearAlarm
+  };
+}
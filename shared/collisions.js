@@ -0,0 +1,230 @@
+// ===== COLLISION CHECKS =====
+// Oriented bounding boxes around every mesh of the bodies an app names
+// (arms, carried bundles, station bodies), tested pairwise once per
+// simulation step. A cheap world-axis box per body rules out most pairs
+// before the separating-axis test on the meshes.
+//
+// Settings come from the app's config section, read live: `enabled`,
+// `margin` (see below) and `haltOnCollision`, which the app acts on.
+// The app supplies:
+//   bodies()   [{ name, group, objects: [Object3D] }] for the current step;
+//              bodies sharing a `group` (an arm and the bundle it carries)
+//              are never tested against each other, and an object that is
+//              itself a body is left out of its parent's body; meshes
+//              marked `userData.ghost` (glows and other effects) are skipped
+//   allowed(a, b, phase)  optional: true where the program means the two to
+//              touch, e.g. a gripper reaching into its own wrapper (asked
+//              both ways round)
+// Boxes shrink by `margin` on every side so resting contact (a bundle
+// standing on a platform) does not count.
+
+function createCollisionMonitor(config, { bodies, allowed }) {
+  let active = {}; // pair key -> open log entry
+  let log = [];
+  let shapes = [];  // bodies' boxes at the last check
+
+  function meshesOf(body, roots) {
+    const meshes = [];
+    const visit = object => {
+      if (object.userData.ghost) return;
+      if (object.isMesh && object.visible) meshes.push(object);
+      object.children.forEach(child => { if (!roots.has(child)) visit(child); });
+    };
+    body.objects.forEach(object => {
+      if (!object) return;
+      object.updateWorldMatrix(true, true);
+      visit(object);
+    });
+    return meshes;
+  }
+
+  function boxesOf(body, roots) {
+    const boxes = meshesOf(body, roots).map(mesh => orientedBox(mesh, config.margin)).filter(Boolean);
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+    boxes.forEach(box => {
+      const reach = box.reach();
+      min.min(reach.clone().negate().add(box.center));
+      max.max(reach.add(box.center));
+    });
+    return { name: body.name, group: body.group, boxes, bounds: new THREE.Box3(min, max) };
+  }
+
+  return {
+    // Contacts in progress: [{ a, b, start, phase }]
+    get active() { return Object.values(active); },
+    get log() { return log; },
+
+    // Test every pair at simulated `time`; returns the contacts that began
+    check(time, phase) {
+      const list = config.enabled ? bodies() : [];
+      const roots = new Set();
+      list.forEach(body => body.objects.forEach(object => { if (object) roots.add(object); }));
+      shapes = list.map(body => boxesOf(body, roots)).filter(shape => shape.boxes.length);
+
+      const touching = {};
+      for (let i = 0; i < shapes.length; i++) {
+        for (let j = i + 1; j < shapes.length; j++) {
+          const [a, b] = [shapes[i], shapes[j]].sort((x, y) => (x.name < y.name ? -1 : 1));
+          if (a.group !== undefined && a.group === b.group) continue;
+          if (!a.bounds.intersectsBox(b.bounds)) continue;
+          if (allowed && (allowed(a.name, b.name, phase) || allowed(b.name, a.name, phase))) continue;
+          if (a.boxes.some(boxA => b.boxes.some(boxB => boxesIntersect(boxA, boxB)))) {
+            touching[`${a.name}|${b.name}`] = [a.name, b.name];
+          }
+        }
+      }
+
+      const started = [];
+      Object.keys(active).forEach(key => {
+        if (!touching[key]) {
+          active[key].end = time;
+          delete active[key];
+        }
+      });
+      Object.keys(touching).forEach(key => {
+        if (active[key]) return;
+        const [a, b] = touching[key];
+        const contact = { a, b, start: time, end: null, phase };
+        active[key] = contact;
+        log.push(contact);
+        started.push(contact);
+      });
+      return started;
+    },
+
+    // Boxes of the bodies in contact at the last check
+    touchingBoxes() {
+      const names = new Set();
+      Object.values(active).forEach(contact => { names.add(contact.a); names.add(contact.b); });
+      return shapes.filter(shape => names.has(shape.name)).flatMap(shape => shape.boxes);
+    },
+
+    reset() {
+      active = {};
+      log = [];
+      shapes = [];
+    }
+  };
+}
+
+// Box around a mesh's geometry in world space: centre, unit axes and half
+// sizes along them (null when the margin swallows it)
+function orientedBox(mesh, margin) {
+  // Instanced meshes are measured over all their instances
+  const owner = mesh.isInstancedMesh ? mesh : mesh.geometry;
+  if (!owner.boundingBox) owner.computeBoundingBox();
+  const local = owner.boundingBox;
+  const center = local.getCenter(new THREE.Vector3()).applyMatrix4(mesh.matrixWorld);
+  const size = local.getSize(new THREE.Vector3());
+  const axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  mesh.matrixWorld.extractBasis(axes[0], axes[1], axes[2]);
+  const half = [size.x, size.y, size.z].map((length, i) => {
+    const scale = axes[i].length();
+    axes[i].divideScalar(scale || 1);
+    return Math.max(0, length * scale / 2 - margin);
+  });
+  if (half.some(h => h === 0)) return null;
+  return {
+    center,
+    axes,
+    half,
+    // Half size of the world-axis box around it
+    reach() {
+      return new THREE.Vector3(
+        axes.reduce((sum, axis, i) => sum + Math.abs(axis.x) * half[i], 0),
+        axes.reduce((sum, axis, i) => sum + Math.abs(axis.y) * half[i], 0),
+        axes.reduce((sum, axis, i) => sum + Math.abs(axis.z) * half[i], 0)
+      );
+    }
+  };
+}
+
+// Separating-axis test for two oriented boxes (face normals of both boxes
+// and the nine edge cross products)
+function boxesIntersect(a, b) {
+  const EPSILON = 1e-6;
+  const R = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const absR = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      R[i][j] = a.axes[i].dot(b.axes[j]);
+      absR[i][j] = Math.abs(R[i][j]) + EPSILON;
+    }
+  }
+  const d = b.center.clone().sub(a.center);
+  const t = [d.dot(a.axes[0]), d.dot(a.axes[1]), d.dot(a.axes[2])];
+  const ea = a.half;
+  const eb = b.half;
+
+  for (let i = 0; i < 3; i++) {
+    if (Math.abs(t[i]) > ea[i] + eb[0] * absR[i][0] + eb[1] * absR[i][1] + eb[2] * absR[i][2]) return false;
+  }
+  for (let j = 0; j < 3; j++) {
+    const ra = ea[0] * absR[0][j] + ea[1] * absR[1][j] + ea[2] * absR[2][j];
+    if (Math.abs(t[0] * R[0][j] + t[1] * R[1][j] + t[2] * R[2][j]) > ra + eb[j]) return false;
+  }
+  for (let i = 0; i < 3; i++) {
+    const i1 = (i + 1) % 3;
+    const i2 = (i + 2) % 3;
+    for (let j = 0; j < 3; j++) {
+      const j1 = (j + 1) % 3;
+      const j2 = (j + 2) % 3;
+      const ra = ea[i1] * absR[i2][j] + ea[i2] * absR[i1][j];
+      const rb = eb[j1] * absR[i][j2] + eb[j2] * absR[i][j1];
+      if (Math.abs(t[i2] * R[i1][j] - t[i1] * R[i2][j]) > ra + rb) return false;
+    }
+  }
+  return true;
+}
+
+// Outline the boxes of touching bodies and list contacts as they begin;
+// call update() once per frame
+function bindCollisionView(monitor, scene, { color = '#FF2222', summary, list, maxEntries = 50 }) {
+  const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+  const material = new THREE.LineBasicMaterial({ color, depthTest: false });
+  const outlines = [];
+  let listed = 0;
+
+  function outline(index) {
+    if (!outlines[index]) {
+      const line = new THREE.LineSegments(edges, material);
+      line.matrixAutoUpdate = false;
+      line.renderOrder = 999;
+      scene.add(line);
+      outlines[index] = line;
+    }
+    return outlines[index];
+  }
+
+  return {
+    update() {
+      const boxes = monitor.touchingBoxes();
+      boxes.forEach((box, i) => {
+        const line = outline(i);
+        line.matrix.makeBasis(box.axes[0], box.axes[1], box.axes[2])
+          .scale(new THREE.Vector3(box.half[0] * 2, box.half[1] * 2, box.half[2] * 2))
+          .setPosition(box.center);
+        line.matrixWorldNeedsUpdate = true;
+        line.visible = true;
+      });
+      outlines.slice(boxes.length).forEach(line => { line.visible = false; });
+
+      const log = monitor.log;
+      if (summary) summary.textContent = log.length;
+      if (!list) return;
+      if (log.length < listed) {
+        list.innerHTML = '';
+        listed = 0;
+      }
+      log.slice(listed).forEach(contact => {
+        const entry = document.createElement('div');
+        entry.className = 'collision-entry';
+        entry.textContent = `💥 ${contact.start.toFixed(2)}s ${contact.a} ↔ ${contact.b} (${contact.phase})`;
+        list.prepend(entry);
+      });
+      while (list.children.length > maxEntries) list.lastChild.remove();
+      listed = log.length;
+    }
+  };
+}
@@ -0,0 +1,444 @@
+// ===== MACHINE CONFIG: VALIDATION, FILES & EDIT PANEL =====
+// Each process variant keeps its layout in a MACHINE_CONFIG object. This
+// module checks settings against the variant's defaults, saves and loads
+// them as versioned JSON files and builds a panel to edit them live.
+//
+// The defaults are the schema: every setting keeps the type of its default,
+// hex colours stay hex colours, sizes stay positive, counts stay whole,
+// probabilities stay within 0..1, tape overlaps stay below 1, `...Time`
+// durations are not negative, `...Limits` stay ascending [min, max] and the
+// settings in SETTING_CHOICES take one of their listed values.
+//
+// Scene sections pair a build function with the settings it draws, so a
+// change only rebuilds the meshes that use it; the app then replays the
+// simulation to the current time (see ../shared/scrubber.js).
+
+const CONFIG_FILE_FORMAT = 'filament-machine-config';
+const CONFIG_FILE_VERSION = 16;
+
+// Upgrades from older file versions: CONFIG_MIGRATIONS[n](config, defaults)
+// turns a version n config into version n + 1
+const CONFIG_MIGRATIONS = {
+  // Version 2: the apps became variants of one engine sharing the bundle and
+  // tray builders; the settings those added (tray pitch, tape bands...) start
+  // at their defaults
+  1: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 3: quality limits for the OEE panel (upgradedProcess weighs
+  // its bundles against quality.weightLimits)
+  2: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 4: upgradedProcess computes bundle weights from bundleWeight
+  3: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 5: randomness comes from the run seed (see random.js), so the
+  // sections' own `seed` settings are gone
+  4: config => {
+    const result = cloneConfig(config);
+    Object.values(result).forEach(section => {
+      if (typeOfSetting(section) === 'object') delete section.seed;
+    });
+    return result;
+  },
+  // Version 6: upgradedProcess grades its bundles; the old weight limits
+  // became the grade B band and the reject bin stations were added
+  5: (config, defaults) => {
+    const result = cloneConfig(config);
+    const quality = result.quality;
+    if (typeOfSetting(quality) === 'object' && 'weightLimits' in quality) {
+      quality.gradeBLimits = quality.weightLimits;
+      delete quality.weightLimits;
+    }
+    return withMissingSettings(result, defaults);
+  },
+  // Version 7: rules for the upgradedProcess shift report
+  6: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 8: SPC chart settings for upgradedProcess
+  7: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 9: language model provider settings for upgradedProcess
+  8: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 10: upgradedProcess makes named SKUs on a schedule. The old
+  // per-arm height, strand count and density become one SKU per arm, each
+  // scheduled on its own, so the cell makes what it made before.
+  9: (config, defaults) => {
+    const result = cloneConfig(config);
+    if ('leftHeight' in result && Array.isArray(defaults.skus)) {
+      const weight = result.bundleWeight || {};
+      const sides = ['left', 'right'];
+      result.skus = sides.map((side, i) => Object.assign(cloneConfig(defaults.skus[0]), {
+        name: side.toUpperCase(),
+        height: result[side + 'Height'],
+        color: (defaults.skus[i] || defaults.skus[0]).color,
+        strands: weight[side + 'Strands'],
+        density: weight.density
+      }));
+      result.schedule = Object.assign(cloneConfig(defaults.schedule), {
+        left: [{ sku: 'LEFT', count: 1 }],
+        right: [{ sku: 'RIGHT', count: 1 }]
+      });
+      sides.forEach(side => {
+        delete result[side + 'Height'];
+        delete weight[side + 'Strands'];
+      });
+      delete weight.density;
+      if (result.wrappedBundle) delete result.wrappedBundle.radius;
+    }
+    return withMissingSettings(result, defaults);
+  },
+  // Version 11: shakingProcess presses by a leveling recipe, which also
+  // gives the wrapped bundles their height
+  10: (config, defaults) => {
+    const result = cloneConfig(config);
+    if ('press' in result && typeOfSetting(result.wrappedBundle) === 'object') delete result.wrappedBundle.height;
+    return withMissingSettings(result, defaults);
+  },
+  // Version 12: loose bundles are drawn strand by strand (strand count,
+  // radius and tilt settings)
+  11: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 13: tape is wound on as a helix. Each old ring of bandWidth
+  // becomes a band one turn of tape that wide long.
+  12: (config, defaults) => {
+    const result = cloneConfig(config);
+    const wrapped = result.wrappedBundle;
+    if (typeOfSetting(wrapped) === 'object' && 'bandWidth' in wrapped) {
+      wrapped.tapeWidth = wrapped.bandWidth;
+      wrapped.bandLength = wrapped.bandWidth;
+      wrapped.wraps = 1;
+      delete wrapped.bandWidth;
+    }
+    return withMissingSettings(result, defaults);
+  },
+  // Version 14: package label template for upgradedProcess
+  13: (config, defaults) => withMissingSettings(config, defaults),
+  // Version 15: upgradedProcess strands are as long as the bundle is high
+  // (see MM_PER_UNIT in parts.js) instead of strandLengthPerUnit cm per
+  // scene unit; the filament gets thicker by as much as the strands got
+  // shorter, so bundles weigh what they did
+  14: (config, defaults) => {
+    const result = cloneConfig(config);
+    const weight = result.bundleWeight;
+    if (typeOfSetting(weight) === 'object' && 'strandLengthPerUnit' in weight) {
+      const shorter = weight.strandLengthPerUnit / (MM_PER_UNIT / 10);
+      weight.filamentDiameter = Math.round(weight.filamentDiameter * Math.sqrt(shorter) * 10000) / 10000;
+      delete weight.strandLengthPerUnit;
+    }
+    return withMissingSettings(result, defaults);
+  },
+  // Version 16: fault injection for upgradedProcess
+  15: (config, defaults) => withMissingSettings(config, defaults)
+};
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const POSITIVE_SETTING = /(width|height|depth|length|radius|diameter|density|capacity|rows|cols|count|strands|duration|interval|timeout|force|frequency|amplitude|thickness|wraps)$/i;
+const WHOLE_SETTING = /^(rows|cols|capacity|initial|count|strands|wraps)$/;
+const NOT_NEGATIVE_SETTING = /Time$/;
+// Settings limited to a fixed set of values, by path
+const SETTING_CHOICES = {
+  'llm.provider': ['gemini', 'openai', 'local'] // LLM_PROVIDERS in ../shared/llm.js
+};
+
+function cloneConfig(config) {
+  return JSON.parse(JSON.stringify(config));
+}
+
+function typeOfSetting(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Problem with one setting, or null when it is fine
+function checkSetting(path, value, defaultValue) {
+  const name = path.split('.').pop();
+  const expected = typeOfSetting(defaultValue);
+  const actual = typeOfSetting(value);
+  if (actual !== expected) return `${path}: expected ${expected}, got ${actual}`;
+
+  if (expected === 'number') {
+    if (!Number.isFinite(value)) return `${path}: must be a finite number`;
+    if (POSITIVE_SETTING.test(name) && value <= 0) return `${path}: must be greater than 0 (got ${value})`;
+    if (NOT_NEGATIVE_SETTING.test(name) && value < 0) return `${path}: must not be negative (got ${value})`;
+    if (WHOLE_SETTING.test(name) && !(Number.isInteger(value) && value >= 0)) return `${path}: must be a whole number (got ${value})`;
+    if (path.includes('.probability.') && (value < 0 || value > 1)) return `${path}: must be between 0 and 1 (got ${value})`;
+    if (name === 'overlap' && (value < 0 || value >= 1)) return `${path}: must be at least 0 and below 1 (got ${value})`;
+  }
+  if (SETTING_CHOICES[path] && !SETTING_CHOICES[path].includes(value)) {
+    return `${path}: must be one of ${SETTING_CHOICES[path].join(', ')} (got ${JSON.stringify(value)})`;
+  }
+  if (expected === 'string' && HEX_COLOR.test(defaultValue) && !HEX_COLOR.test(value)) {
+    return `${path}: "${value}" is not a hex colour like #FFA500`;
+  }
+  if (expected === 'array' && /Limits$/.test(name)) {
+    if (value.length !== 2 || !value.every(Number.isFinite) || value[0] >= value[1]) {
+      return `${path}: must be [min, max] with min < max`;
+    }
+  }
+  return null;
+}
+
+// Every problem with one setting, including the items of arrays and
+// objects below it
+function checkValue(path, value, defaultValue) {
+  const problem = checkSetting(path, value, defaultValue);
+  if (problem) return [problem];
+  if (typeOfSetting(defaultValue) === 'object') return validateConfig(value, defaultValue, path + '.');
+  if (Array.isArray(defaultValue) && defaultValue.length > 0) {
+    // Items follow the shape of the first default item
+    return value.reduce((problems, item, i) => problems.concat(checkValue(`${path}[${i}]`, item, defaultValue[0])), []);
+  }
+  return [];
+}
+
+// Every problem in a config, checked against the defaults
+function validateConfig(config, defaults, path = '') {
+  if (typeOfSetting(config) !== 'object') return [`${path || 'config'}: expected object`];
+  const problems = [];
+  Object.keys(config).forEach(key => {
+    if (!(key in defaults)) problems.push(`${path}${key}: unknown setting`);
+  });
+  Object.keys(defaults).forEach(key => {
+    if (key in config) problems.push(...checkValue(path + key, config[key], defaults[key]));
+    else problems.push(`${path}${key}: missing`);
+  });
+  return problems;
+}
+
+// Copy of a config with every setting it lacks taken from the defaults
+function withMissingSettings(config, defaults) {
+  const result = cloneConfig(config);
+  Object.keys(defaults).forEach(key => {
+    if (!(key in result)) result[key] = cloneConfig(defaults[key]);
+    else if (typeOfSetting(defaults[key]) === 'object' && typeOfSetting(result[key]) === 'object') {
+      result[key] = withMissingSettings(result[key], defaults[key]);
+    }
+  });
+  return result;
+}
+
+// Copy settings into an existing config object, keeping its identity (other
+// modules hold references to sub-objects such as `faults`)
+function assignConfig(target, source) {
+  Object.keys(source).forEach(key => {
+    if (typeOfSetting(source[key]) === 'object' && typeOfSetting(target[key]) === 'object') {
+      assignConfig(target[key], source[key]);
+    } else {
+      target[key] = cloneConfig(source[key]);
+    }
+  });
+}
+
+function configToJSON(app, config) {
+  return JSON.stringify({
+    format: CONFIG_FILE_FORMAT,
+    version: CONFIG_FILE_VERSION,
+    app,
+    config
+  }, null, 2);
+}
+
+// Parse a saved config file for `app`; throws with every problem listed
+function parseConfigJSON(text, app, defaults) {
+  const fail = problems => {
+    const error = new Error(`Config: ${problems.length === 1 ? problems[0] : problems.length + ' problems:\n' + problems.join('\n')}`);
+    error.problems = problems;
+    throw error;
+  };
+
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    fail([`not valid JSON (${e.message})`]);
+  }
+  if (!file || file.format !== CONFIG_FILE_FORMAT) fail([`not a machine configuration file (format "${CONFIG_FILE_FORMAT}" expected)`]);
+  if (!Number.isInteger(file.version) || file.version < 1) fail([`missing or invalid version ${JSON.stringify(file.version)}`]);
+  if (file.version > CONFIG_FILE_VERSION) {
+    fail([`file version ${file.version} is newer than this app understands (up to ${CONFIG_FILE_VERSION})`]);
+  }
+  if (file.app !== app) fail([`file is for "${file.app}", this is "${app}"`]);
+
+  let config = file.config;
+  for (let version = file.version; version < CONFIG_FILE_VERSION; version++) {
+    config = CONFIG_MIGRATIONS[version](config, defaults);
+  }
+  const problems = validateConfig(config, defaults);
+  if (problems.length) fail(problems);
+  return config;
+}
+
+// Track what each build function adds to the scene so sections can be torn
+// down and rebuilt. `sections` maps a name to { build, uses: [settings] }.
+function createSceneSections(scene, sections) {
+  const built = {};
+
+  function build(name) {
+    const before = new Set(scene.children);
+    sections[name].build();
+    built[name] = scene.children.filter(object => !before.has(object));
+  }
+
+  function teardown(name) {
+    (built[name] || []).forEach(object => {
+      scene.remove(object);
+      object.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+          if (child.material.map) child.material.map.dispose(); // label textures
+          child.material.dispose();
+        }
+      });
+    });
+    built[name] = [];
+  }
+
+  return {
+    buildAll() {
+      Object.keys(sections).forEach(build);
+    },
+
+    // Top-level scene objects the section's build function added
+    objectsOf(name) {
+      return built[name] || [];
+    },
+
+    // Rebuild the sections that draw any of the changed settings
+    rebuild(changed) {
+      Object.keys(sections).forEach(name => {
+        if (!sections[name].uses.some(setting => changed.includes(setting))) return;
+        teardown(name);
+        build(name);
+      });
+    }
+  };
+}
+
+// Edit panel: one fieldset per top-level section (loose settings go under
+// "general"), a status line for errors and save / load / defaults buttons.
+// `onChange(changedSections)` runs after settings were applied; aborting
+// `signal` unbinds the buttons (the fields live in `container`).
+function bindConfigPanel(config, { app, defaults, container, status, exportButton, importInput, resetButton, onChange, signal }) {
+  const fields = [];
+
+  const getAt = path => path.reduce((obj, key) => obj[key], config);
+  const setAt = (path, value) => { getAt(path.slice(0, -1))[path[path.length - 1]] = value; };
+  const defaultAt = path => path.reduce((obj, key) => obj[key], defaults);
+  const toColorInput = value => value.length === 4 ? '#' + value.slice(1).split('').map(c => c + c).join('') : value;
+
+  function showStatus(message, isError) {
+    status.textContent = message;
+    status.classList.toggle('config-error', !!isError);
+  }
+
+  function addField(fieldset, path) {
+    const defaultValue = defaultAt(path);
+    const label = document.createElement('label');
+    label.textContent = path.slice(1).join('.') || path[0];
+    const choices = SETTING_CHOICES[path.join('.')];
+    const input = document.createElement(choices ? 'select' : 'input');
+    const kind = choices ? 'choice'
+      : typeof defaultValue === 'boolean' ? 'boolean'
+      : typeof defaultValue === 'number' ? 'number'
+      : typeof defaultValue === 'string' && HEX_COLOR.test(defaultValue) ? 'color'
+      : typeof defaultValue === 'string' ? 'text' : 'json';
+    if (choices) choices.forEach(choice => input.add(new Option(choice, choice)));
+    else input.type = kind === 'boolean' ? 'checkbox' : kind === 'json' ? 'text' : kind;
+    if (kind === 'number') input.step = 'any';
+    label.appendChild(input);
+    fieldset.appendChild(label);
+
+    const field = {
+      refresh() {
+        const value = getAt(path);
+        if (kind === 'boolean') input.checked = value;
+        else if (kind === 'color') input.value = toColorInput(value);
+        else if (kind === 'json') input.value = JSON.stringify(value);
+        else input.value = value;
+        input.classList.remove('config-invalid');
+      }
+    };
+
+    input.addEventListener('change', () => {
+      let value;
+      if (kind === 'boolean') value = input.checked;
+      else if (kind === 'number') value = input.value === '' ? NaN : Number(input.value);
+      else if (kind === 'json') {
+        try {
+          value = JSON.parse(input.value);
+        } catch (e) {
+          value = undefined;
+        }
+      } else value = input.value;
+
+      const name = path.join('.');
+      const problem = value === undefined ? `${name}: not valid JSON` : checkValue(name, value, defaultValue)[0];
+      input.classList.toggle('config-invalid', !!problem);
+      if (problem) {
+        showStatus(problem, true);
+        return;
+      }
+      setAt(path, value);
+      showStatus(`${name} = ${JSON.stringify(value)}`);
+      onChange([path[0]]);
+    });
+
+    fields.push(field);
+  }
+
+  function addSettings(fieldset, path) {
+    const value = defaultAt(path);
+    if (typeOfSetting(value) === 'object') {
+      Object.keys(value).forEach(key => addSettings(fieldset, path.concat(key)));
+    } else {
+      addField(fieldset, path);
+    }
+  }
+
+  function addSection(title, keys) {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = title;
+    fieldset.appendChild(legend);
+    keys.forEach(key => addSettings(fieldset, [key]));
+    container.appendChild(fieldset);
+  }
+
+  const keys = Object.keys(defaults);
+  const loose = keys.filter(key => typeOfSetting(defaults[key]) !== 'object');
+  keys.filter(key => typeOfSetting(defaults[key]) === 'object').forEach(key => addSection(key, [key]));
+  if (loose.length) addSection('general', loose);
+
+  function refresh() {
+    fields.forEach(field => field.refresh());
+  }
+
+  function load(values, message) {
+    assignConfig(config, values);
+    refresh();
+    showStatus(message);
+    onChange(keys);
+  }
+
+  exportButton.addEventListener('click', () => {
+    const blob = new Blob([configToJSON(app, config)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${app}-config.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }, { signal });
+
+  importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        load(parseConfigJSON(text, app, defaults), `Loaded ${file.name}`);
+      } catch (error) {
+        showStatus(`${file.name}: ${error.message}`, true);
+      }
+      importInput.value = '';
+    });
+  }, { signal });
+
+  if (resetButton) resetButton.addEventListener('click', () => load(defaults, 'Defaults restored'), { signal });
+
+  refresh();
+  return { refresh, load };
+}
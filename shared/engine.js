@@ -0,0 +1,623 @@
+// ===== PROCESS VARIANT ENGINE =====
+// One page, several process variants. A variant is a definition registered
+// with defineVariant() (see <variant>/variant.js); the engine owns
+// everything they share: renderer, camera, orbit controls, lighting, the
+// animation loop, play / speed / reset, the timeline scrubber, alarms,
+// collision checks, the OEE panel, the config panel and the layout editor.
+// load(name) tears the running variant down and builds the next one in its
+// place.
+//
+// A definition is
+//   { name, title, subtitle, program, config, create,
+//     view?  camera and scene settings, see DEFAULT_VIEW
+//     panel? HTML for the variant's own readouts and controls }
+// create(engine) builds the variant's simulation and returns
+//   sections          scene sections, see createSceneSections()
+//   rig               timeline rig, see createTimeline()
+//   reset()           back to time 0
+//   step(dt)          one fixed step; returns the timeline state, whose
+//                     cycle and loopTime are the variant's own cycle clock
+//   clearHistory?()   forget logs when the scrubber drops its history
+//   raiseAlarm?(alarm), clearAlarm?(alarm)   fault controller hooks
+//   collisionBodies?(), collisionAllowed?(a, b, phase)   see collisions.js
+//   layout?           { items, problems() } for the layout editor
+//   configChanged?(changed)   after settings were applied
+//   updatePanel?()    once per animation frame, for readouts too costly to
+//                     redraw on every step
+//   dispose?()        before the variant is torn down
+// Panel elements, settings and the production event log (engine.events, see
+// events.js) exist from the moment create() runs; the timeline, scrubber
+// and config panel are ready once it returns. The shell's bundle counter
+// counts `placed` events, its tape readout adds up the `tape` of `wrapped`
+// events.
+// record(options) renders a span of the loaded variant to a file, see
+// recorder.js; cyclesEnd(from, cycles) is where a span of whole cycles ends.
+//
+// Every random draw goes through random(key) / randomStream(key), seeded by
+// the run seed (see random.js). The engine keeps the session of the loaded
+// variant, its starting point and inputs since (see session.js), and
+// playSession(session) replays one.
+
+const PROCESS_VARIANTS = {};
+const CYCLE_SPAN_LIMIT = 3600; // seconds of simulated time cyclesEnd() runs at most
+
+function defineVariant(definition) {
+  ['name', 'program', 'config', 'create'].forEach(key => {
+    if (!definition[key]) throw new Error(`Engine: variant "${definition.name}" is missing "${key}"`);
+  });
+  if (PROCESS_VARIANTS[definition.name]) throw new Error(`Engine: variant "${definition.name}" is defined twice`);
+  PROCESS_VARIANTS[definition.name] = definition;
+  return definition;
+}
+
+const DEFAULT_VIEW = {
+  camera: [15, 12, 15],
+  target: [0, 2, 0],
+  fov: 50,
+  minDistance: 8,
+  maxDistance: 30,
+  background: '#1a1a1a',
+  fog: [10, 40], // near, far; null for none
+  grid: 20
+};
+
+function createEngine() {
+  const canvas = document.getElementById('machine-canvas');
+  const ui = {
+    title: document.getElementById('variantTitle'),
+    subtitle: document.getElementById('variantSubtitle'),
+    panel: document.getElementById('variantPanel'),
+    playPause: document.getElementById('playPause'),
+    speed: document.getElementById('speed'),
+    speedValue: document.getElementById('speed-value'),
+    reset: document.getElementById('resetBtn'),
+    cycleText: document.getElementById('cycleText'),
+    cycleTimer: document.getElementById('cycleTimer'),
+    cycleCount: document.getElementById('cycleCount'),
+    tapeUsage: document.getElementById('tapeUsage'),
+    faultInject: document.getElementById('faultInject'),
+    autoRecover: document.getElementById('autoRecover'),
+    haltOnCollision: document.getElementById('haltOnCollision'),
+    layoutStatus: document.getElementById('layoutStatus'),
+    collisionLog: document.getElementById('collisionLog'),
+    configFields: document.getElementById('configFields'),
+    configStatus: document.getElementById('configStatus'),
+    sessionStatus: document.getElementById('sessionStatus')
+  };
+
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+  const camera = new THREE.PerspectiveCamera(DEFAULT_VIEW.fov, canvas.clientWidth / canvas.clientHeight, 0.1, 200);
+  const controls = new THREE.OrbitControls(camera, canvas);
+  controls.enableDamping = true;
+  controls.dampingFactor = 0.05;
+  controls.maxPolarAngle = Math.PI / 2.1;
+
+  const clock = new THREE.Clock();
+  let speed = 1.0;
+  let isPaused = false;
+  let recording = false; // record() drives the scrubber and renderer itself
+  let seed = DEFAULT_SEED;
+  let current = null; // the loaded variant and everything built for it
+
+  // ===== LOADING =====
+  function load(name) {
+    const definition = PROCESS_VARIANTS[name];
+    if (!definition) throw new Error(`Engine: unknown variant "${name}"`);
+    unload();
+
+    const view = Object.assign({}, DEFAULT_VIEW, definition.view);
+    const run = {
+      definition,
+      config: cloneConfig(definition.config),
+      defaults: cloneConfig(definition.config),
+      scene: buildScene(view),
+      controller: new AbortController()
+    };
+    current = run;
+    const signal = run.controller.signal;
+
+    // Events are stamped with the end of the step that emits them
+    run.eventTime = 0;
+    run.events = createEventLog(() => run.eventTime);
+    run.events.subscribe('placed', () => {
+      ui.cycleCount.textContent = run.events.count('placed');
+    });
+    run.events.subscribe('wrapped', event => {
+      if (event.tape === undefined) return;
+      run.tapeUsed += event.tape;
+      ui.tapeUsage.textContent = `${run.tapeUsed.toFixed(2)} m (${event.tape.toFixed(2)} m last bundle)`;
+    });
+
+    ui.title.textContent = definition.title || definition.name;
+    ui.subtitle.textContent = definition.subtitle || '';
+    ui.panel.innerHTML = definition.panel || '';
+    ui.cycleText.textContent = 'Ready to process';
+    ui.cycleTimer.textContent = '0.0s';
+    ui.cycleCount.textContent = '0';
+    run.tapeUsed = 0;
+    ui.tapeUsage.textContent = '0.00 m';
+    aimCamera(view);
+
+    if (run.config.faults) {
+      run.faults = createFaultController(run.config.faults, {
+        roll: random,
+        onRaise: alarm => { if (run.sim.raiseAlarm) run.sim.raiseAlarm(alarm); },
+        onClear: alarm => { if (run.sim.clearAlarm) run.sim.clearAlarm(alarm); }
+      });
+      run.alarmPanel = bindAlarmPanel(run.faults, {
+        panel: document.getElementById('alarmPanel'),
+        title: document.getElementById('alarmTitle'),
+        step: document.getElementById('alarmStep'),
+        button: document.getElementById('alarmAck'),
+        summary: document.getElementById('alarmSummary'),
+        signal
+      });
+    }
+
+    run.sim = definition.create(engine);
+    run.sections = createSceneSections(run.scene, run.sim.sections);
+    run.sections.buildAll();
+    run.timeline = createTimeline(definition.program, run.sim.rig);
+    run.oee = createOeeTracker(definition.program, run.events);
+    run.oeePanel = bindOeePanel(run.oee, {
+      oee: document.getElementById('oeeValue'),
+      availability: document.getElementById('oeeAvailability'),
+      performance: document.getElementById('oeePerformance'),
+      quality: document.getElementById('oeeQuality'),
+      losses: document.getElementById('oeeLosses'),
+      sides: document.getElementById('oeeSides'),
+      chart: document.getElementById('oeeTrend')
+    });
+
+    if (run.config.collisions) {
+      run.collisions = createCollisionMonitor(run.config.collisions, {
+        bodies: run.sim.collisionBodies,
+        allowed: run.sim.collisionAllowed
+      });
+      run.collisionView = bindCollisionView(run.collisions, run.scene, {
+        color: run.config.collisions.highlightColor,
+        summary: document.getElementById('collisionCount'),
+        list: ui.collisionLog
+      });
+    }
+
+    run.scrubber = createScrubber({
+      reset: () => {
+        if (run.faults) run.faults.reset();
+        if (run.collisions) run.collisions.reset();
+        run.events.reset();
+        run.eventTime = 0;
+        run.state = null;
+        run.oee.reset();
+        run.timeline.reset();
+        ui.cycleCount.textContent = '0';
+        run.tapeUsed = 0;
+        ui.tapeUsage.textContent = '0.00 m';
+        run.sim.reset();
+      },
+      step: dt => {
+        run.eventTime = run.scrubber.time + dt;
+        const state = run.sim.step(dt);
+        run.state = state;
+        run.oee.update(dt, state, !!run.faults && run.faults.isStopped());
+        if (run.collisions) checkCollisions(state);
+      },
+      clearHistory: () => {
+        if (run.faults) run.faults.clearHistory();
+        if (run.sim.clearHistory) run.sim.clearHistory();
+        startSession(run);
+      }
+    });
+    captureSessionInputs(document.body, input => recordInput(run, input), signal);
+    run.scrubberUI = bindScrubber(run.scrubber, {
+      slider: document.getElementById('timelineScrub'),
+      input: document.getElementById('seekTime'),
+      label: document.getElementById('simTime'),
+      signal
+    });
+
+    run.configPanel = bindConfigPanel(run.config, {
+      app: definition.name,
+      defaults: run.defaults,
+      container: ui.configFields,
+      status: ui.configStatus,
+      exportButton: document.getElementById('configExport'),
+      importInput: document.getElementById('configImport'),
+      resetButton: document.getElementById('configDefaults'),
+      onChange: applyConfigChange,
+      signal
+    });
+
+    if (run.sim.layout) {
+      run.layoutEditor = bindLayoutEditor(run.config, run.sections, {
+        camera,
+        canvas,
+        controls,
+        toggle: document.getElementById('editLayout'),
+        items: run.sim.layout.items,
+        onDrag: updateLayoutStatus,
+        onDrop: (item) => {
+          run.configPanel.refresh();
+          applyConfigChange([item]);
+        },
+        signal
+      });
+    }
+
+    // Shell controls only a variant with the matching feature shows
+    const features = {
+      faults: !!run.faults,
+      collisions: !!run.collisions,
+      layout: !!run.sim.layout
+    };
+    document.querySelectorAll('[data-feature]').forEach(element => {
+      element.hidden = !features[element.dataset.feature];
+    });
+
+    syncToggles();
+    updateLayoutStatus();
+    run.scrubber.reset();
+    return run.sim;
+  }
+
+  // Stop the running variant: unbind its controls, drop its scene and clear
+  // what it left in the shared panels
+  function unload() {
+    if (!current) return;
+    const run = current;
+    current = null;
+    run.controller.abort();
+    if (run.sim && run.sim.dispose) run.sim.dispose();
+    disposeScene(run.scene);
+
+    ui.panel.innerHTML = '';
+    ui.configFields.innerHTML = '';
+    ui.configStatus.textContent = 'Changes apply live; invalid values are rejected.';
+    ui.configStatus.classList.remove('config-error');
+    ui.collisionLog.innerHTML = '';
+    document.getElementById('alarmPanel').hidden = true;
+  }
+
+  function buildScene(view) {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(view.background);
+    if (view.fog) scene.fog = new THREE.Fog(view.background, view.fog[0], view.fog[1]);
+    renderer.setClearColor(view.background);
+
+    // Ambient light
+    scene.add(new THREE.AmbientLight(0xffffff, 0.8));
+
+    // Main directional light with shadows
+    const dirLight = new THREE.DirectionalLight(0xffffff, 1.2);
+    dirLight.position.set(12, 20, 10);
+    dirLight.castShadow = true;
+    dirLight.shadow.mapSize.width = 2048;
+    dirLight.shadow.mapSize.height = 2048;
+    dirLight.shadow.camera.left = -20;
+    dirLight.shadow.camera.right = 20;
+    dirLight.shadow.camera.top = 20;
+    dirLight.shadow.camera.bottom = -20;
+    dirLight.shadow.camera.near = 0.5;
+    dirLight.shadow.camera.far = 50;
+    scene.add(dirLight);
+
+    // Spot light from top
+    const spotLight = new THREE.SpotLight(0xffffff, 0.6);
+    spotLight.position.set(0, 15, 0);
+    spotLight.angle = Math.PI / 4;
+    spotLight.penumbra = 0.3;
+    scene.add(spotLight);
+
+    // Hemisphere light
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 0.5));
+
+    scene.add(new THREE.GridHelper(view.grid, view.grid, 0x444444, 0x222222));
+    return scene;
+  }
+
+  function disposeScene(scene) {
+    scene.traverse(object => {
+      if (object.isInstancedMesh) object.dispose(); // instance matrices of strand bundles
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) {
+        if (object.material.map) object.material.map.dispose(); // label textures
+        object.material.dispose();
+      }
+    });
+    scene.clear();
+  }
+
+  function aimCamera(view) {
+    camera.fov = view.fov;
+    camera.position.set(...view.camera);
+    camera.updateProjectionMatrix();
+    controls.target.set(...view.target);
+    controls.minDistance = view.minDistance;
+    controls.maxDistance = view.maxDistance;
+    controls.update();
+  }
+
+  // ===== CONFIGURATION =====
+  // Settings edited in the config panel, loaded from a file or dragged in
+  // the layout editor: rebuild the meshes that draw them, then replay to
+  // the current time so everything follows the new settings.
+  function applyConfigChange(changed) {
+    const values = {};
+    changed.forEach(key => { values[key] = cloneConfig(current.config[key]); });
+    recordInput(current, { type: 'config', values });
+    current.sections.rebuild(changed);
+    if (current.sim.configChanged) current.sim.configChanged(changed);
+    syncToggles();
+    updateLayoutStatus();
+    current.scrubber.replay();
+  }
+
+  function syncToggles() {
+    const config = current.config;
+    if (config.faults) {
+      ui.faultInject.checked = config.faults.inject;
+      ui.autoRecover.checked = config.faults.autoRecover;
+    }
+    if (config.collisions) ui.haltOnCollision.checked = config.collisions.haltOnCollision;
+  }
+
+  function updateLayoutStatus() {
+    if (!current.sim.layout) return;
+    const problems = current.sim.layout.problems();
+    ui.layoutStatus.textContent = problems.length ? '⚠️ ' + problems.join(' | ') : 'OK';
+    ui.layoutStatus.style.color = problems.length ? '#FF5459' : '';
+  }
+
+  // ===== COLLISIONS =====
+  function checkCollisions(state) {
+    const { collisions, scrubber, config } = current;
+    const started = collisions.check(scrubber.time + scrubber.step, state ? state.phase.name : null);
+    if (!started.length || scrubber.replaying) return;
+    if (config.collisions.haltOnCollision) {
+      scrubber.halt();
+      setPaused(true);
+    }
+  }
+
+  // ===== SEED & SESSIONS =====
+  function random(key) {
+    return randomRoll(`${seed}:${key}`);
+  }
+
+  function randomStream(key) {
+    return createRandom(`${seed}:${key}`);
+  }
+
+  // A new seed changes every draw, so the loaded variant starts over
+  function setSeed(value) {
+    const parsed = parseSeed(value);
+    if (parsed === null) throw new Error(`Engine: seed must be a whole number (got "${value}")`);
+    seed = parsed;
+    if (current) current.scrubber.reset();
+  }
+
+  // The scrubber started over: a new session starts from the current state
+  function startSession(run) {
+    run.playback = null;
+    run.session = {
+      app: run.definition.name,
+      seed,
+      config: cloneConfig(run.config),
+      controls: Object.assign(snapshotControls(ui.panel), { speed: ui.speed.value }),
+      paused: isPaused,
+      inputs: []
+    };
+  }
+
+  function recordInput(run, input) {
+    if (run.session) run.session.inputs.push(Object.assign({ time: run.scrubber.time }, input));
+  }
+
+  // Put the loaded variant (session.app, with the engine at session.seed)
+  // back where the session started and play its inputs back over time
+  function playSession(session) {
+    const run = current;
+    if (session.app !== run.definition.name) throw new Error(`Session: recorded on "${session.app}", "${run.definition.name}" is loaded`);
+    if (session.seed !== seed) throw new Error(`Session: recorded with seed ${session.seed}, the engine has ${seed}`);
+    const problems = validateConfig(session.config, run.defaults);
+    if (problems.length) throw new Error(`Session: ${problems.join('; ')}`);
+
+    const keys = Object.keys(run.config);
+    assignConfig(run.config, session.config);
+    run.configPanel.refresh();
+    run.sections.rebuild(keys);
+    if (run.sim.configChanged) run.sim.configChanged(keys);
+    syncToggles();
+    updateLayoutStatus();
+    restoreControls(session.controls);
+    setPaused(session.paused);
+    run.scrubber.reset();
+    run.playback = { inputs: session.inputs, next: 0 };
+    playDueInputs(run);
+  }
+
+  function nextInputTime(run) {
+    const input = run.playback && run.playback.inputs[run.playback.next];
+    return input ? input.time : Infinity;
+  }
+
+  // Apply every input made at or before the current moment
+  function playDueInputs(run) {
+    while (current === run && run.playback && Math.round(nextInputTime(run) / run.scrubber.step) <= Math.round(run.scrubber.time / run.scrubber.step)) {
+      const playback = run.playback;
+      const input = playback.inputs[playback.next++];
+      if (playback.next >= playback.inputs.length) run.playback = null;
+      if (input.type === 'config') {
+        assignConfig(run.config, input.values);
+        run.configPanel.refresh();
+        applyConfigChange(Object.keys(input.values));
+      } else {
+        applySessionInput(input);
+      }
+    }
+  }
+
+  // Rewritten only when it changes, so an error shown there stays until then
+  let sessionStatusText = '';
+  function updateSessionStatus() {
+    const { session, playback } = current;
+    const text = playback
+      ? `▶️ Replaying input ${playback.next + 1} / ${playback.inputs.length}`
+      : `Seed ${session.seed} · ${session.inputs.length} inputs recorded`;
+    if (text === sessionStatusText) return;
+    sessionStatusText = text;
+    ui.sessionStatus.textContent = text;
+    ui.sessionStatus.classList.remove('config-error');
+  }
+
+  // ===== RECORDING =====
+  // Render a span of simulated time frame by frame (see recorder.js). Live
+  // playback is suspended meanwhile and picks up where it was.
+  async function record({ from, to, fps, format, overlay, save, onProgress }) {
+    if (recording) throw new Error('Engine: already recording');
+    const run = current;
+    const resumeAt = run.scrubber.time;
+    recording = true;
+    try {
+      return await recordRun({
+        canvas,
+        seek: time => run.scrubber.seek(time),
+        render: () => renderRun(run),
+        from,
+        to,
+        fps,
+        format,
+        overlay: overlay ? () => [ui.cycleText.textContent, `⏱️ ${ui.cycleTimer.textContent}  (t = ${run.scrubber.time.toFixed(2)}s)`] : null,
+        save,
+        onProgress,
+        name: `${run.definition.name}-${from}-${to}s`,
+        signal: run.controller.signal
+      });
+    } finally {
+      recording = false;
+      if (current === run) run.scrubber.seek(resumeAt);
+    }
+  }
+
+  // Simulated time at which `cycles` cycles of the variant's own cycle clock
+  // have run from `from`. That clock stands still while the cell is held
+  // (alarms, change-overs, starvation), so the span is found by running it.
+  function cyclesEnd(from, cycles) {
+    if (!(Number.isInteger(cycles) && cycles > 0)) throw new Error(`Engine: cycles must be a whole number above 0, got ${cycles}`);
+    const run = current;
+    const resumeAt = run.scrubber.time;
+    const limit = from + CYCLE_SPAN_LIMIT;
+    try {
+      run.scrubber.seek(from);
+      const start = run.state || { cycle: 0, loopTime: 0 };
+      const done = state => state && (state.cycle > start.cycle + cycles ||
+        (state.cycle === start.cycle + cycles && state.loopTime >= start.loopTime - 1e-6));
+      while (!done(run.state)) {
+        if (run.scrubber.time >= limit) throw new Error(`Engine: ${cycles} cycles from ${from}s do not finish within ${CYCLE_SPAN_LIMIT}s`);
+        run.scrubber.seek(run.scrubber.time + run.scrubber.step);
+      }
+      return run.scrubber.time;
+    } finally {
+      run.scrubber.seek(resumeAt);
+    }
+  }
+
+  function renderRun(run) {
+    if (run.collisionView) run.collisionView.update();
+    renderer.render(run.scene, camera);
+  }
+
+  // ===== SHELL CONTROLS =====
+  function setPaused(paused) {
+    isPaused = paused;
+    ui.playPause.textContent = isPaused ? 'Play' : 'Pause';
+  }
+
+  ui.playPause.addEventListener('click', () => setPaused(!isPaused));
+
+  ui.speed.addEventListener('input', (e) => {
+    speed = parseFloat(e.target.value);
+    ui.speedValue.textContent = speed.toFixed(1) + 'x';
+  });
+
+  ui.reset.addEventListener('click', () => current.scrubber.reset());
+
+  // Toggles for settings of the loaded variant's config
+  [
+    [ui.faultInject, config => config.faults, 'inject'],
+    [ui.autoRecover, config => config.faults, 'autoRecover'],
+    [ui.haltOnCollision, config => config.collisions, 'haltOnCollision']
+  ].forEach(([toggle, section, key]) => {
+    toggle.addEventListener('change', (e) => {
+      section(current.config)[key] = e.target.checked;
+      current.configPanel.refresh();
+    });
+  });
+
+  // ===== ANIMATION LOOP =====
+  function animate() {
+    requestAnimationFrame(animate);
+
+    const delta = clock.getDelta();
+    controls.update();
+
+    if (current && !recording) {
+      const run = current;
+      if (!isPaused) run.scrubber.advance(delta * speed, nextInputTime(run));
+      playDueInputs(run);
+      updateSessionStatus();
+      current.scrubberUI.update();
+      if (current.alarmPanel) current.alarmPanel.update();
+      current.oeePanel.update();
+      if (current.sim.updatePanel) current.sim.updatePanel();
+      renderRun(current);
+    }
+  }
+
+  // ===== RESPONSIVE HANDLING =====
+  window.addEventListener('resize', () => {
+    camera.aspect = canvas.clientWidth / canvas.clientHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(canvas.clientWidth, canvas.clientHeight);
+  });
+
+  const engine = {
+    load,
+    record,
+    cyclesEnd,
+    setSeed,
+    playSession,
+    random,
+    randomStream,
+    // Settings the variant changed itself (e.g. from its own panel): rebuild,
+    // record and replay like an edit in the config panel
+    applyConfig: changed => applyConfigChange(changed),
+    get seed() { return seed; },
+    get session() { return current.session; },
+    get recording() { return recording; },
+    get name() { return current && current.definition.name; },
+    get config() { return current.config; },
+    get defaults() { return current.defaults; },
+    get program() { return current.definition.program; },
+    get scene() { return current.scene; },
+    get sections() { return current.sections; },
+    get timeline() { return current.timeline; },
+    get scrubber() { return current.scrubber; },
+    get faults() { return current.faults; },
+    get collisions() { return current.collisions; },
+    get events() { return current.events; },
+    get configPanel() { return current.configPanel; },
+    // Aborted when the variant is unloaded; pass it to the variant's own listeners
+    get signal() { return current.controller.signal; },
+    camera,
+    canvas
+  };
+
+  animate();
+  return engine;
+}
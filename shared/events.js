@@ -0,0 +1,113 @@
+// ===== PRODUCTION EVENTS =====
+// What happens to each bundle, as typed events stamped with simulated time:
+//   bundle_spawned  a raw bundle arrives at the TOP station
+//   picked          the gripper takes it from a station (`station`)
+//   inserted        it is put into a station (`station`)
+//   wrapped, pressed, papered   a station has finished its work on it;
+//                   wrapped carries the `tape` used, in metres
+//   weighed         it is checkweighed, graded and labelled (`weight`,
+//                   `grade`, `lot`)
+//   placed          it is set down in a tray (`tray`, `slot`)
+//   scrapped        it is lost on the way (`reason`), e.g. dropped or a
+//                   checkweigh reject put in the reject bin
+//   tray_full       a tray is complete (`tray`, `bundles`), no bundle
+//   changeover      an arm is set up for another product (`from`, `to`,
+//                   `duration`), no bundle
+// Every event has `seq`, `time`, `type` and `side`; bundle events carry the
+// `bundle` ID handed out by spawn(), which the mesh keeps in
+// userData.bundleId. The log is simulation state: the scrubber's reset
+// empties it and replays fill it again, so the counters and logs in the page
+// are subscribers that follow the events rather than state of their own.
+
+const PRODUCTION_EVENT_TYPES = ['bundle_spawned', 'picked', 'inserted', 'wrapped', 'pressed', 'papered', 'weighed', 'placed', 'scrapped', 'tray_full', 'changeover'];
+const EVENT_FILE_FORMAT = 'filament-production-events';
+const EVENT_FILE_VERSION = 1;
+const EVENT_CSV_COLUMNS = ['seq', 'time', 'type', 'bundle', 'side']; // then any other fields, by name
+
+// `clock()` gives the simulated time to stamp on events
+function createEventLog(clock) {
+  let events = [];
+  let nextBundle = 1;
+  let listeners = [];
+
+  function emit(type, fields = {}) {
+    if (!PRODUCTION_EVENT_TYPES.includes(type)) throw new Error(`Events: unknown event type "${type}"`);
+    const event = Object.assign({ seq: events.length + 1, time: Math.round(clock() * 1000) / 1000, type }, fields);
+    events.push(event);
+    listeners.forEach(listener => {
+      if (!listener.type || listener.type === type) listener.fn(event);
+    });
+    return event;
+  }
+
+  return {
+    get events() { return events; },
+    emit,
+
+    // Give a new bundle its ID and report it
+    spawn(bundle, fields) {
+      bundle.userData.bundleId = 'B' + String(nextBundle++).padStart(4, '0');
+      return emit('bundle_spawned', Object.assign({ bundle: bundle.userData.bundleId }, fields));
+    },
+
+    count(type, side) {
+      return events.filter(event => event.type === type && (!side || event.side === side)).length;
+    },
+
+    // fn(event) for every event of `type` (null for all of them); returns
+    // the unsubscribe function
+    subscribe(type, fn) {
+      const listener = { type, fn };
+      listeners.push(listener);
+      return () => { listeners = listeners.filter(l => l !== listener); };
+    },
+
+    reset() {
+      events = [];
+      nextBundle = 1;
+    }
+  };
+}
+
+function eventsToJSON(app, events) {
+  return JSON.stringify({
+    format: EVENT_FILE_FORMAT,
+    version: EVENT_FILE_VERSION,
+    app,
+    events
+  }, null, 2);
+}
+
+function eventsToCSV(events) {
+  const extra = new Set();
+  events.forEach(event => Object.keys(event).forEach(key => {
+    if (!EVENT_CSV_COLUMNS.includes(key)) extra.add(key);
+  }));
+  const columns = EVENT_CSV_COLUMNS.concat([...extra].sort());
+  const cell = value => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(',')]
+    .concat(events.map(event => columns.map(column => cell(event[column])).join(',')))
+    .join('\n') + '\n';
+}
+
+// Wire the export buttons to the loaded variant's log (see engine.js); a file
+// holds the run up to the scrubber's current moment
+function bindEventExport(engine, { csvButton, jsonButton }) {
+  const download = (name, text, type) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+  csvButton.addEventListener('click', () => {
+    download(`${engine.name}-events.csv`, eventsToCSV(engine.events.events), 'text/csv');
+  });
+  jsonButton.addEventListener('click', () => {
+    download(`${engine.name}-events.json`, eventsToJSON(engine.name, engine.events.events), 'application/json');
+  });
+}
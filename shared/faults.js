@@ -0,0 +1,154 @@
+// ===== FAULT INJECTION & ALARMS =====
+// Programs mark where things can go wrong with `fault` events, e.g.
+//   { at: 0.5, type: 'fault', fault: 'droppedBundle' }
+// The app's rig passes those to a fault controller, which decides whether
+// the fault happens for that side and cycle: scheduled faults always fire,
+// random ones (when `inject` is on) fire with their `probability` per fault
+// point. A raised alarm stops the side until the operator confirms the
+// recovery step, or after the fault's repair time with `autoRecover`.
+//
+// Rolls are keyed by fault, side and cycle (hooks.roll(key), the run's
+// seeded roll, see random.js), and operator recoveries are recorded with
+// their downtime, so a scrubber replay raises and clears the same alarms at
+// the same moments.
+
+const FAULT_TYPES = {
+  wrapperJam: {
+    label: 'Wrapper jam',
+    recovery: 'Stop the wrapper, open the guard, cut out the jammed tape and close the guard.',
+    repairTime: 45
+  },
+  droppedBundle: {
+    label: 'Bundle dropped in transport',
+    recovery: 'Lock out the arm, pick the dropped bundle off the floor and put it in the scrap bin.',
+    repairTime: 20
+  },
+  pressStuck: {
+    label: 'Press stuck closed',
+    recovery: 'Lock out the press, bleed the hydraulic pressure and jog the plate open.',
+    repairTime: 60
+  },
+  emptyTape: {
+    label: 'Tape roll empty',
+    recovery: 'Load a new tape roll and thread it through the wrapper head.',
+    repairTime: 30
+  }
+};
+
+function createFaultController(config, hooks = {}) {
+  const roll = hooks.roll || randomRoll;
+  let simTime = 0;
+  let active = [];
+  let log = [];
+  let recorded = {}; // alarm id -> downtime of the operator's recovery
+
+  function shouldFail(type, side, cycle) {
+    const scheduled = (config.scheduled || []).some(fault =>
+      fault.type === type && fault.cycle === cycle && (!fault.side || fault.side === side));
+    if (scheduled) return true;
+    if (!config.inject) return false;
+    const probability = (config.probability || {})[type] || 0;
+    return probability > 0 && roll(`fault:${type}:${side}:${cycle}`) < probability;
+  }
+
+  function repairTime(type) {
+    return ((config.repairTime || {})[type]) || FAULT_TYPES[type].repairTime;
+  }
+
+  function clear(alarm, recoveredBy, time) {
+    alarm.clearedAt = time;
+    alarm.downtime = time - alarm.raisedAt;
+    alarm.recoveredBy = recoveredBy;
+    active = active.filter(a => a !== alarm);
+    if (hooks.onClear) hooks.onClear(alarm);
+  }
+
+  return {
+    get active() { return active; },
+    get log() { return log; },
+    get downtime() {
+      return log.reduce((sum, a) => sum + (a.clearedAt === null ? simTime - a.raisedAt : a.downtime), 0);
+    },
+
+    // True while an alarm stops the given side (any side when omitted)
+    isStopped(side) {
+      return active.some(alarm => side === undefined || alarm.side === side);
+    },
+
+    // A fault point was reached; raise the alarm if the fault happens
+    trigger(type, side, cycle) {
+      if (!FAULT_TYPES[type]) throw new Error(`Faults: unknown fault "${type}"`);
+      if (!shouldFail(type, side, cycle)) return null;
+      const alarm = {
+        id: `${type}:${side}:${cycle}`,
+        type,
+        side,
+        cycle,
+        label: FAULT_TYPES[type].label,
+        recovery: FAULT_TYPES[type].recovery,
+        raisedAt: simTime,
+        clearedAt: null,
+        downtime: 0,
+        recoveredBy: null
+      };
+      active.push(alarm);
+      log.push(alarm);
+      if (hooks.onRaise) hooks.onRaise(alarm);
+      return alarm;
+    },
+
+    // Called at the start of each step: clears alarms whose recorded or
+    // automatic recovery is due (operators acknowledge between steps, so
+    // this happens before the clock moves on), then advances simulated time
+    update(dt) {
+      active.slice().forEach(alarm => {
+        const replayed = recorded[alarm.id];
+        if (replayed !== undefined) {
+          if (simTime - alarm.raisedAt >= replayed - 1e-9) clear(alarm, 'operator', alarm.raisedAt + replayed);
+        } else if (config.autoRecover && simTime - alarm.raisedAt >= repairTime(alarm.type)) {
+          clear(alarm, 'auto', simTime);
+        }
+      });
+      simTime += dt;
+    },
+
+    // Operator confirmed the recovery step of an alarm (oldest by default)
+    acknowledge(alarm = active[0]) {
+      if (!alarm) return;
+      recorded[alarm.id] = simTime - alarm.raisedAt;
+      clear(alarm, 'operator', simTime);
+    },
+
+    // Back to t = 0; recorded recoveries survive so replays match
+    reset() {
+      const cleared = active;
+      active = [];
+      cleared.forEach(alarm => { if (hooks.onClear) hooks.onClear(alarm); });
+      log = [];
+      simTime = 0;
+    },
+
+    clearHistory() {
+      recorded = {};
+    }
+  };
+}
+
+// Wire an alarm box (title, recovery step, confirm button) and an optional
+// summary line to a fault controller; call update() once per frame.
+// Aborting `signal` unbinds the button.
+function bindAlarmPanel(faults, { panel, title, step, button, summary, signal }) {
+  button.addEventListener('click', () => faults.acknowledge(), { signal });
+
+  return {
+    update() {
+      const alarm = faults.active[0];
+      panel.hidden = !alarm;
+      if (alarm) {
+        title.textContent = `🚨 ${alarm.side.toUpperCase()}: ${alarm.label}`;
+        step.textContent = alarm.recovery;
+      }
+      if (summary) summary.textContent = `${faults.log.length} (${faults.downtime.toFixed(1)}s down)`;
+    }
+  };
+}
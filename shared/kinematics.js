@@ -0,0 +1,95 @@
+// ===== ARM KINEMATICS =====
+// Planar kinematics for arms that swing about vertical joints.
+// Angles follow the scene convention: yaw 0 points the arm along -Z and
+// positive yaw turns it towards -X, i.e. direction(yaw) = (-sin, -cos).
+// Arm description: { x, z, upperLength, lowerLength,
+//   shoulderLimits: [minDeg, maxDeg], elbowLimits: [minDeg, maxDeg] }
+
+function twoLinkForward(arm, shoulder, elbow) {
+  return {
+    x: arm.x - arm.upperLength * Math.sin(shoulder) - arm.lowerLength * Math.sin(shoulder + elbow),
+    z: arm.z - arm.upperLength * Math.cos(shoulder) - arm.lowerLength * Math.cos(shoulder + elbow)
+  };
+}
+
+// Solve shoulder/elbow yaw (radians) that put the grip point on `target`.
+// Of the two elbow solutions the one inside the joint limits and closest to
+// `current` ({ shoulder, elbow }) wins, so motion stays continuous.
+// Unreachable targets still return a best-effort pose (arm stretched or
+// folded towards the target) with `reachable: false` and a `reason`.
+function solveTwoLinkIK(target, arm, current) {
+  const L1 = arm.upperLength;
+  const L2 = arm.lowerLength;
+  const dx = target.x - arm.x;
+  const dz = target.z - arm.z;
+  const dist = Math.hypot(dx, dz);
+  const heading = Math.atan2(-dx, -dz);
+  const minReach = Math.abs(L1 - L2);
+  const maxReach = L1 + L2;
+  const shoulderLimits = arm.shoulderLimits.map(THREE.MathUtils.degToRad);
+  const elbowLimits = arm.elbowLimits.map(THREE.MathUtils.degToRad);
+  const previous = current || { shoulder: 0, elbow: 0 };
+
+  if (dist > maxReach || dist < minReach) {
+    const elbow = dist > maxReach ? 0 : Math.PI;
+    return {
+      shoulder: clampToLimits(heading, shoulderLimits),
+      elbow: clampToLimits(elbow, elbowLimits),
+      reachable: false,
+      reason: `target is ${dist.toFixed(2)} from the shoulder, reach envelope is ${minReach.toFixed(2)}–${maxReach.toFixed(2)}`
+    };
+  }
+
+  const cosElbow = (dist * dist - L1 * L1 - L2 * L2) / (2 * L1 * L2);
+  const bend = Math.acos(Math.max(-1, Math.min(1, cosElbow)));
+
+  const candidates = [bend, -bend].map(elbow => {
+    const shoulder = heading - Math.atan2(L2 * Math.sin(elbow), L1 + L2 * Math.cos(elbow));
+    return {
+      shoulder: nearestEquivalent(shoulder, previous.shoulder),
+      elbow
+    };
+  });
+
+  const inLimits = candidates
+    .map(c => ({
+      shoulder: wrapIntoLimits(c.shoulder, shoulderLimits),
+      elbow: wrapIntoLimits(c.elbow, elbowLimits)
+    }))
+    .filter(c => c.shoulder !== null && c.elbow !== null);
+
+  const distance = c => Math.abs(c.shoulder - previous.shoulder) + Math.abs(c.elbow - previous.elbow);
+
+  if (inLimits.length === 0) {
+    const best = candidates.sort((a, b) => distance(a) - distance(b))[0];
+    return {
+      shoulder: clampToLimits(best.shoulder, shoulderLimits),
+      elbow: clampToLimits(best.elbow, elbowLimits),
+      reachable: false,
+      reason: 'target needs a pose outside the joint limits'
+    };
+  }
+
+  const best = inLimits.sort((a, b) => distance(a) - distance(b))[0];
+  return { shoulder: best.shoulder, elbow: best.elbow, reachable: true, reason: null };
+}
+
+// Angle equivalent to `angle` (mod 2π) closest to `reference`
+function nearestEquivalent(angle, reference) {
+  const turn = Math.PI * 2;
+  return angle + Math.round((reference - angle) / turn) * turn;
+}
+
+// Equivalent angle inside [min, max], or null if none exists
+function wrapIntoLimits(angle, [min, max]) {
+  const turn = Math.PI * 2;
+  for (const k of [0, -1, 1]) {
+    const candidate = angle + k * turn;
+    if (candidate >= min - 1e-9 && candidate <= max + 1e-9) return candidate;
+  }
+  return null;
+}
+
+function clampToLimits(angle, [min, max]) {
+  return Math.max(min, Math.min(max, angle));
+}
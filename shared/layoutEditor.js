@@ -0,0 +1,89 @@
+// ===== LAYOUT EDITOR =====
+// Edit mode for the 3D view: stations are dragged across the floor and
+// their MACHINE_CONFIG entry (`x` / `z`) follows. Draggable items are scene
+// sections (see ../shared/config.js) named after their config entry.
+// While dragging, the section's meshes are moved in place and onDrag(name)
+// runs (e.g. to re-check reach); on release onDrop(name) lets the app
+// rebuild and replay with the new layout. Aborting `signal` unbinds it.
+
+function bindLayoutEditor(config, sceneSections, { camera, canvas, controls, toggle, items, snap = 0.1, onDrag, onDrop, signal }) {
+  const raycaster = new THREE.Raycaster();
+  const floor = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const round = value => +(Math.round(value / snap) * snap).toFixed(6); // no float noise in saved files
+  let enabled = false;
+  let drag = null;
+
+  // Aim the raycaster at the pointer and return where it meets the floor
+  function floorPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    return raycaster.ray.intersectPlane(floor, new THREE.Vector3());
+  }
+
+  // Nearest draggable item under the pointer (call floorPoint first)
+  function itemUnderPointer() {
+    let nearest = null;
+    items.forEach(name => {
+      const hit = raycaster.intersectObjects(sceneSections.objectsOf(name), true)[0];
+      if (hit && (!nearest || hit.distance < nearest.distance)) nearest = { name, distance: hit.distance };
+    });
+    return nearest && nearest.name;
+  }
+
+  canvas.addEventListener('pointerdown', (event) => {
+    if (!enabled) return;
+    const start = floorPoint(event);
+    const name = start && itemUnderPointer();
+    if (!name) return;
+    const cfg = config[name];
+    drag = {
+      name,
+      start,
+      origin: { x: cfg.x, z: cfg.z },
+      objects: sceneSections.objectsOf(name).map(object => ({ object, position: object.position.clone() }))
+    };
+    controls.enabled = false;
+    canvas.setPointerCapture(event.pointerId);
+  }, { signal });
+
+  canvas.addEventListener('pointermove', (event) => {
+    if (!drag) return;
+    const point = floorPoint(event);
+    if (!point) return;
+    const cfg = config[drag.name];
+    cfg.x = round(drag.origin.x + point.x - drag.start.x);
+    cfg.z = round(drag.origin.z + point.z - drag.start.z);
+    drag.objects.forEach(({ object, position }) => {
+      object.position.set(position.x + cfg.x - drag.origin.x, position.y, position.z + cfg.z - drag.origin.z);
+    });
+    if (onDrag) onDrag(drag.name);
+  }, { signal });
+
+  function endDrag(event) {
+    if (!drag) return;
+    const { name, origin } = drag;
+    drag = null;
+    controls.enabled = true;
+    canvas.releasePointerCapture(event.pointerId);
+    const cfg = config[name];
+    if (cfg.x !== origin.x || cfg.z !== origin.z) onDrop(name);
+  }
+  canvas.addEventListener('pointerup', endDrag, { signal });
+  canvas.addEventListener('pointercancel', endDrag, { signal });
+
+  function setEnabled(value) {
+    enabled = value;
+    toggle.textContent = enabled ? '📐 Edit layout: ON' : '📐 Edit layout: OFF';
+    canvas.style.cursor = enabled ? 'grab' : '';
+  }
+  toggle.addEventListener('click', () => setEnabled(!enabled), { signal });
+  if (signal) signal.addEventListener('abort', () => setEnabled(false));
+
+  return {
+    get enabled() { return enabled; }
+  };
+}
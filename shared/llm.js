@@ -0,0 +1,123 @@
+// ===== LLM PROVIDERS =====
+// Text completion from a language model, for the AI extras of a variant.
+// `settings` is the variant's MACHINE_CONFIG.llm:
+//   { provider: 'gemini' | 'openai' | 'local',
+//     gemini: { baseUrl, model, timeout }, openai: {...}, local: {...} }
+// with the timeout in seconds. `openai` is any OpenAI-compatible endpoint
+// (/chat/completions); `local` is the same protocol on a model server of
+// our own, where the key is optional.
+//
+// The API key is entered at runtime and passed in per call; it is never
+// part of the settings, so it stays out of config and session files.
+// Replies are streamed: onText(chunk) runs as text arrives and the promise
+// resolves to the whole reply. Failures reject with an Error saying what
+// went wrong (no key, no answer in time, HTTP status and the provider's own
+// message).
+
+const LLM_PROVIDERS = {
+  gemini: {
+    needsKey: true,
+    request: (cfg, key, prompt) => ({
+      url: `${cfg.baseUrl}/models/${encodeURIComponent(cfg.model)}:streamGenerateContent?alt=sse`,
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': key },
+      body: { contents: [{ parts: [{ text: prompt }] }] }
+    }),
+    textOf: data => ((((data.candidates || [])[0] || {}).content || {}).parts || []).map(part => part.text || '').join('')
+  },
+  openai: {
+    needsKey: true,
+    request: openAiRequest,
+    textOf: openAiText
+  },
+  local: {
+    needsKey: false,
+    request: openAiRequest,
+    textOf: openAiText
+  }
+};
+
+function openAiRequest(cfg, key, prompt) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers.Authorization = `Bearer ${key}`;
+  return {
+    url: `${cfg.baseUrl}/chat/completions`,
+    headers,
+    body: { model: cfg.model, messages: [{ role: 'user', content: prompt }], stream: true }
+  };
+}
+
+// Streamed chunks carry a delta, whole replies a message
+function openAiText(data) {
+  const choice = (data.choices || [])[0] || {};
+  return (choice.delta || choice.message || {}).content || '';
+}
+
+// Best message in a failed response's body
+async function llmErrorMessage(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    const data = JSON.parse(text);
+    const error = Array.isArray(data) ? (data[0] || {}).error : data.error;
+    if (error) return typeof error === 'string' ? error : error.message || JSON.stringify(error);
+  } catch (e) {
+    // not JSON, use the text itself
+  }
+  return text.trim().slice(0, 200) || response.statusText;
+}
+
+async function llmComplete(settings, apiKey, prompt, onText = () => {}) {
+  const name = settings.provider;
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) throw new Error(`LLM: unknown provider "${name}" (expected ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  const cfg = settings[name];
+  if (provider.needsKey && !apiKey) throw new Error(`LLM: ${name} needs an API key`);
+
+  const { url, headers, body } = provider.request(Object.assign({}, cfg, { baseUrl: cfg.baseUrl.replace(/\/+$/, '') }), apiKey, prompt);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), cfg.timeout * 1000);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: controller.signal });
+    } catch (e) {
+      throw new Error(`LLM: cannot reach ${name} at ${cfg.baseUrl} (${e.message})`);
+    }
+    if (!response.ok) throw new Error(`LLM: ${name} answered ${response.status}: ${await llmErrorMessage(response)}`);
+
+    // Server-sent events: "data: {json}" lines, until "data: [DONE]" or the end
+    let reply = '';
+    const take = line => {
+      const payload = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || payload === '' || payload === '[DONE]') return;
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (e) {
+        throw new Error(`LLM: ${name} streamed something that is not JSON: ${payload.slice(0, 80)}`);
+      }
+      const chunk = provider.textOf(data);
+      if (!chunk) return;
+      reply += chunk;
+      onText(chunk);
+    };
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+      const lines = buffered.split('\n');
+      buffered = done ? '' : lines.pop();
+      lines.forEach(take);
+      if (done) break;
+    }
+    if (!reply) throw new Error(`LLM: ${name} sent an empty reply`);
+    return reply;
+  } catch (e) {
+    if (controller.signal.aborted) throw new Error(`LLM: no reply from ${name} within ${cfg.timeout} s`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,202 @@
+// ===== OEE =====
+// Overall equipment effectiveness of the loaded variant, measured over the
+// simulated session:
+//   availability = run time / planned time
+//   performance  = ideal cycle time × bundles / run time
+//   quality      = good bundles / bundles
+//   OEE          = availability × performance × quality
+// Planned time is all simulated time. Run time is the time the program's
+// cycle clock advanced; while it holds the cell is stopped, either by an
+// alarm or held for another reason (tray change-over, empty feed queue).
+// The ideal cycle time is the program's cycleDuration per `output.bundles`.
+// Bundles are the `placed` and `scrapped` production events (see
+// events.js); the placed ones are good.
+//
+// A program with one arm per side (`resources.arm` 2) is broken down per
+// side, each side making half the output. Where the arms keep their own
+// clocks (`sideTimes` in the state, see createSideClocks() in timeline.js)
+// a side's run time is the time its own clock advanced, and the cell's
+// clock is their mean; otherwise every side runs when the cell does.
+// The tracker is simulation state; the engine steps it and the scrubber's
+// reset starts it over.
+
+const OEE_TREND_INTERVAL = 10; // seconds of simulated time between trend samples
+const OEE_SIDES = ['left', 'right'];
+
+function createOeeTracker(program, events) {
+  const sides = (program.resources || {}).arm === 2 ? OEE_SIDES : [];
+  const outputPerCycle = program.output ? program.output.bundles : 1;
+  let planned = 0;
+  let running = 0;
+  let alarmed = 0;
+  let clock = 0; // cycle clock after the last step
+  let sideRunning = {};
+  let sideClocks = {}; // each side's clock after the last step
+  let trend = [];
+
+  function resetSides() {
+    sides.forEach(side => {
+      sideRunning[side] = 0;
+      sideClocks[side] = 0;
+    });
+  }
+  resetSides();
+
+  function ratio(numerator, denominator) {
+    return denominator > 0 ? Math.min(1, numerator / denominator) : null;
+  }
+
+  function metrics(side) {
+    const output = side ? outputPerCycle / sides.length : outputPerCycle;
+    const idealCycle = program.cycleDuration / output;
+    const counted = events.events.filter(event =>
+      (event.type === 'placed' || event.type === 'scrapped') &&
+      (!side || event.side === side));
+    const good = counted.filter(event => event.type === 'placed').length;
+    const run = side ? sideRunning[side] : running;
+    const availability = ratio(run, planned);
+    const performance = ratio(idealCycle * counted.length, run);
+    const quality = ratio(good, counted.length);
+    const parts = [availability, performance, quality];
+    return {
+      availability,
+      performance,
+      quality,
+      oee: parts.includes(null) ? null : availability * performance * quality,
+      bundles: counted.length,
+      good
+    };
+  }
+
+  return {
+    sides,
+    get planned() { return planned; },
+    get running() { return running; },
+    get alarmed() { return alarmed; },
+    // Time the cell was stopped without an alarm
+    get held() { return Math.max(0, planned - running - alarmed); },
+    get trend() { return trend; },
+    metrics,
+
+    // One scrubber step: `state` is the timeline state the variant's step
+    // returned, `alarm` whether an alarm holds the cell
+    update(dt, state, alarm) {
+      const before = planned;
+      planned += dt;
+      if (state) {
+        const advance = (next, last) => Math.max(0, Math.min(dt, next - last));
+        const advanced = advance(state.time, clock);
+        running += advanced;
+        if (alarm) alarmed += dt - advanced;
+        clock = state.time;
+        sides.forEach(side => {
+          const next = state.sideTimes ? state.sideTimes[side] : state.time;
+          sideRunning[side] += advance(next, sideClocks[side]);
+          sideClocks[side] = next;
+        });
+      }
+      const sample = time => Math.floor(time / OEE_TREND_INTERVAL + 1e-9);
+      if (sample(planned) > sample(before)) {
+        trend.push(Object.assign({ time: planned }, metrics()));
+      }
+    },
+
+    reset() {
+      planned = 0;
+      running = 0;
+      alarmed = 0;
+      clock = 0;
+      resetSides();
+      trend = [];
+    }
+  };
+}
+
+// ===== OEE PANEL =====
+// Headline figures, the per-side table (a <table> with one <tbody>) and a
+// trend chart of the cell's figures. Call update() once per frame; the
+// table and chart are only redrawn when they change.
+const OEE_TREND_LINES = [
+  ['oee', '#FFFFFF', 'OEE'],
+  ['availability', '#4ECDC4', 'A'],
+  ['performance', '#FFD93D', 'P'],
+  ['quality', '#FF6B6B', 'Q']
+];
+
+function formatOee(value) {
+  return value === null ? '—' : (value * 100).toFixed(1) + '%';
+}
+
+function bindOeePanel(tracker, { oee, availability, performance, quality, losses, sides, chart }) {
+  let drawnSamples = -1;
+  let sideRows = null;
+
+  function drawTrend() {
+    const ctx = chart.getContext('2d');
+    const { width, height } = chart;
+    const pad = 24;
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '10px Arial';
+    [0, 0.5, 1].forEach(level => {
+      const y = height - pad - level * (height - 2 * pad);
+      ctx.beginPath();
+      ctx.moveTo(pad, y);
+      ctx.lineTo(width - 4, y);
+      ctx.stroke();
+      ctx.fillText(level * 100 + '%', 0, y + 3);
+    });
+
+    const trend = tracker.trend;
+    const last = trend.length ? trend[trend.length - 1].time : OEE_TREND_INTERVAL;
+    const x = time => pad + (time / last) * (width - pad - 4);
+    const y = value => height - pad - value * (height - 2 * pad);
+    OEE_TREND_LINES.forEach(([key, color, label], i) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let drawing = false;
+      trend.forEach(sample => {
+        if (sample[key] === null) return;
+        if (drawing) ctx.lineTo(x(sample.time), y(sample[key]));
+        else ctx.moveTo(x(sample.time), y(sample[key]));
+        drawing = true;
+      });
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.fillText(label, pad + i * 36, height - 6);
+    });
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText(last.toFixed(0) + 's', width - 40, height - 6);
+  }
+
+  return {
+    update() {
+      const cell = tracker.metrics();
+      oee.textContent = formatOee(cell.oee);
+      availability.textContent = formatOee(cell.availability);
+      performance.textContent = formatOee(cell.performance);
+      quality.textContent = `${formatOee(cell.quality)} (${cell.good}/${cell.bundles})`;
+      losses.textContent = `run ${tracker.running.toFixed(1)}s · ` +
+        `alarms ${tracker.alarmed.toFixed(1)}s · held ${tracker.held.toFixed(1)}s`;
+
+      sides.hidden = tracker.sides.length === 0;
+      const rows = tracker.sides.map(side => {
+        const m = tracker.metrics(side);
+        return `<tr class="${side}"><th>${side.toUpperCase()}</th>` +
+          `<td>${formatOee(m.oee)}</td><td>${formatOee(m.availability)}</td>` +
+          `<td>${formatOee(m.performance)}</td>` +
+          `<td>${formatOee(m.quality)} (${m.good}/${m.bundles})</td></tr>`;
+      }).join('');
+      if (rows !== sideRows) {
+        sideRows = rows;
+        sides.tBodies[0].innerHTML = rows;
+      }
+
+      if (tracker.trend.length !== drawnSamples) {
+        drawnSamples = tracker.trend.length;
+        drawTrend();
+      }
+    }
+  };
+}
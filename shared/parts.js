@@ -0,0 +1,368 @@
+// ===== SHARED MACHINE PARTS =====
+// Pieces every process variant builds the same way, styled by the settings
+// in its MACHINE_CONFIG: raw, strand-by-strand and wrapped bundles, the
+// helical tape, output trays with their slot grid, and the tray change-over.
+
+// Scene units are decimetres: a bundle 0.8 high is 80 mm
+const MM_PER_UNIT = 100;
+
+// Unwrapped filament bundle. cfg: { radius, height, color }, optionally with
+// an `emissive` colour and `emissiveIntensity` to make it stand out
+function createRawBundle(cfg) {
+  const material = new THREE.MeshStandardMaterial({ color: cfg.color, roughness: 0.8 });
+  if (cfg.emissive) {
+    material.emissive.set(cfg.emissive);
+    material.emissiveIntensity = cfg.emissiveIntensity;
+  }
+  const geometry = new THREE.CylinderGeometry(cfg.radius, cfg.radius, cfg.height, 16);
+  const bundle = new THREE.Mesh(geometry, material);
+  bundle.castShadow = true;
+  return bundle;
+}
+
+// Loose filament bundle drawn strand by strand, as one InstancedMesh of
+// `strands` thin cylinders spread over the bundle's circle (positions from
+// `random`, see random.js). cfg: { radius, height, color, strands,
+// strandRadius, tilt, offset }, optionally `emissive` and
+// `emissiveIntensity` as for createRawBundle. Each strand starts tilted by
+// up to `tilt` radians and shifted along the bundle by up to ±offset / 2, so
+// the end faces are `offset` uneven.
+// bundle.userData.arrange(settle, residual) lays the strands out between
+// that start (settle 0) and aligned (settle 1), where `residual` of the
+// tilt and shift is left; scale the group to compress it.
+// All strand bundles share one unit cylinder, scaled per strand, and one
+// material per colour, so a bundle only owns its instance matrices: pass
+// it to disposeStrandBundle() when it leaves the scene.
+let strandGeometry = null;
+const strandMaterials = new Map();
+
+function strandMaterial(cfg) {
+  const key = [cfg.color, cfg.emissive, cfg.emissiveIntensity].join('|');
+  if (!strandMaterials.has(key)) {
+    const material = new THREE.MeshStandardMaterial({ color: cfg.color, roughness: 0.7 });
+    if (cfg.emissive) {
+      material.emissive.set(cfg.emissive);
+      material.emissiveIntensity = cfg.emissiveIntensity;
+    }
+    strandMaterials.set(key, material);
+  }
+  return strandMaterials.get(key);
+}
+
+function unitStrandGeometry() {
+  if (!strandGeometry) strandGeometry = new THREE.CylinderGeometry(1, 1, 1, 5);
+  return strandGeometry;
+}
+
+// One loose strand on the shared cylinder and material (cfg as
+// strandMaterial's); scale it to (radius, length, radius). It owns nothing
+// to dispose.
+function createStrand(cfg) {
+  const strand = new THREE.Mesh(unitStrandGeometry(), strandMaterial(cfg));
+  strand.castShadow = true;
+  return strand;
+}
+
+function createStrandBundle(cfg, random) {
+  const bundle = new THREE.Group();
+  const mesh = new THREE.InstancedMesh(unitStrandGeometry(), strandMaterial(cfg), cfg.strands);
+  mesh.castShadow = true;
+  bundle.add(mesh);
+
+  const reach = Math.max(0, cfg.radius - cfg.strandRadius);
+  const strands = [];
+  for (let i = 0; i < cfg.strands; i++) {
+    const r = Math.sqrt(random()) * reach; // even over the circle
+    const angle = random() * Math.PI * 2;
+    strands.push({
+      x: Math.cos(angle) * r,
+      z: Math.sin(angle) * r,
+      shift: (random() - 0.5) * cfg.offset,
+      tiltX: (random() - 0.5) * 2 * cfg.tilt,
+      tiltZ: (random() - 0.5) * 2 * cfg.tilt
+    });
+  }
+
+  const matrix = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  const euler = new THREE.Euler();
+  const scale = new THREE.Vector3(cfg.strandRadius, cfg.height, cfg.strandRadius);
+  let arranged = null;
+
+  bundle.userData.arrange = (settle, residual = 0) => {
+    const left = 1 - settle * (1 - residual); // share of the start pose left
+    if (left === arranged) return;
+    arranged = left;
+    strands.forEach((strand, i) => {
+      rotation.setFromEuler(euler.set(strand.tiltX * left, 0, strand.tiltZ * left));
+      position.set(strand.x, strand.shift * left, strand.z);
+      mesh.setMatrixAt(i, matrix.compose(position, rotation, scale));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    // Bounds over all strands, for culling and collision checks
+    mesh.computeBoundingBox();
+    mesh.computeBoundingSphere();
+  };
+  bundle.userData.arrange(0);
+  return bundle;
+}
+
+// Free the instance matrices of a strand bundle taken out of the scene; a
+// no-op for any other object
+function disposeStrandBundle(bundle) {
+  if (!bundle) return;
+  bundle.children.forEach(child => {
+    if (child.isInstancedMesh) child.dispose();
+  });
+}
+
+// Wrapped bundle: the filament body with its tape wound on in full (see
+// HELICAL TAPE below). cfg: { radius, height, bodyColor } plus the tape
+// settings; bundle.userData.tape is the tape helix.
+function createWrappedBundle(cfg) {
+  const bundle = new THREE.Group();
+
+  const body = new THREE.Mesh(
+    new THREE.CylinderGeometry(cfg.radius, cfg.radius, cfg.height, 32),
+    new THREE.MeshStandardMaterial({ color: cfg.bodyColor, roughness: 0.8 })
+  );
+  body.castShadow = true;
+  bundle.add(body);
+
+  const tape = createTape(cfg);
+  tape.userData.setProgress(1);
+  bundle.add(tape);
+  bundle.userData.tape = tape;
+
+  bundle.castShadow = true;
+  return bundle;
+}
+
+// ===== HELICAL TAPE =====
+// The wrapper winds tape of `tapeWidth` round the bundle as a helix, each
+// turn covering `overlap` (a share of the width) of the one before, so one
+// pass over a band of `bandLength` centred at each height in `bands` takes
+// (bandLength - tapeWidth) / pitch + 1 turns, pitch = tapeWidth ·
+// (1 - overlap). A band gets `wraps` passes, back and forth, each on top of
+// the last; bands are wound in order. Tape settings: { radius, bandColor,
+// bands, bandLength, tapeWidth, overlap, wraps, tapeThickness }, in scene
+// units.
+
+const TAPE_STEPS_PER_TURN = 32;
+const TAPE_DRAW_LIFT = 0.004; // least radial step drawn between layers, so they do not z-fight
+
+// One pass of tape per run, in winding order: { from, to, turns, layer },
+// `from` and `to` being the heights of the tape's centre line
+function tapeRuns(cfg) {
+  const pitch = cfg.tapeWidth * (1 - cfg.overlap);
+  const travel = Math.max(0, cfg.bandLength - cfg.tapeWidth);
+  const turns = travel / pitch + 1;
+  const runs = [];
+  cfg.bands.forEach(centre => {
+    for (let pass = 0; pass < cfg.wraps; pass++) {
+      const down = pass % 2 === 1;
+      runs.push({
+        from: centre + (down ? travel : -travel) / 2,
+        to: centre + (down ? -travel : travel) / 2,
+        turns,
+        layer: pass
+      });
+    }
+  });
+  return runs;
+}
+
+// Tape used for one bundle, in metres to the millimetre: every turn is
+// √((2π r)² + pitch²) long, r rising by a tape thickness per layer
+function tapeLength(cfg) {
+  const pitch = cfg.tapeWidth * (1 - cfg.overlap);
+  const units = tapeRuns(cfg).reduce((total, run) => {
+    const r = cfg.radius + (run.layer + 0.5) * cfg.tapeThickness;
+    return total + run.turns * Math.hypot(2 * Math.PI * r, pitch);
+  }, 0);
+  return Math.round(units * MM_PER_UNIT) / 1000;
+}
+
+// Tape helix as a ribbon mesh centred on the bundle axis.
+// tape.userData.setProgress(p) shows the first share p of it, as wound so
+// far; it starts hidden. tape.userData.length is tapeLength(cfg).
+function createTape(cfg) {
+  const lift = Math.max(cfg.tapeThickness, TAPE_DRAW_LIFT);
+  const positions = [];
+  const normals = [];
+  const indices = [];
+  let passRadius = 0;
+  tapeRuns(cfg).forEach(run => {
+    if (run.layer === 0) passRadius = cfg.radius + lift / 2;
+    const steps = Math.max(1, Math.ceil(run.turns * TAPE_STEPS_PER_TURN));
+    const start = positions.length / 3;
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const angle = t * run.turns * Math.PI * 2;
+      // Each turn lies on the overlapped part of the one before
+      const r = passRadius + lift * cfg.overlap * t * run.turns;
+      const x = Math.cos(angle);
+      const z = Math.sin(angle);
+      const y = run.from + (run.to - run.from) * t;
+      positions.push(x * r, y - cfg.tapeWidth / 2, z * r, x * r, y + cfg.tapeWidth / 2, z * r);
+      normals.push(x, 0, z, x, 0, z);
+      if (i > 0) {
+        const a = start + (i - 1) * 2;
+        indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+      }
+    }
+    passRadius += lift * (1 + cfg.overlap * run.turns); // the next pass goes on top
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setIndex(indices);
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+
+  const tape = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+    color: cfg.bandColor, roughness: 0.6, metalness: 0.2, side: THREE.DoubleSide
+  }));
+  tape.castShadow = true;
+  const segments = indices.length / 6;
+  tape.userData.length = tapeLength(cfg);
+  tape.userData.setProgress = progress => {
+    const shown = Math.round(Math.min(1, Math.max(0, progress)) * segments);
+    geometry.setDrawRange(0, shown * 6);
+    tape.visible = shown > 0;
+  };
+  tape.userData.setProgress(0);
+  return tape;
+}
+
+// Wind the tape on a bundle in a wrapper up to share `progress`: the first
+// call adds the helix (createTape) as a child, undoing the bundle's own
+// scale so the tape keeps its size on a squashed bundle
+function windTape(bundle, cfg, progress) {
+  if (!bundle.userData.tape) {
+    bundle.userData.tape = createTape(cfg);
+    bundle.add(bundle.userData.tape);
+  }
+  const tape = bundle.userData.tape;
+  tape.scale.set(1 / bundle.scale.x, 1 / bundle.scale.y, 1 / bundle.scale.z);
+  tape.userData.setProgress(progress);
+  return tape;
+}
+
+// ===== OUTPUT TRAYS =====
+// cfg: { x, y, z, width, depth, height, color, rows, cols, pitch }
+function createTray(cfg) {
+  const tray = new THREE.Mesh(
+    new THREE.BoxGeometry(cfg.width, cfg.height, cfg.depth),
+    new THREE.MeshStandardMaterial({ color: cfg.color, metalness: 0.5, roughness: 0.6 })
+  );
+  tray.position.set(cfg.x, cfg.y, cfg.z);
+  tray.castShadow = true;
+  tray.receiveShadow = true;
+  return tray;
+}
+
+function trayCapacity(cfg) {
+  return cfg.rows * cfg.cols;
+}
+
+// Centre of the bundle in slot `index`: rows × cols slots `pitch` apart
+// around the tray centre, filled row by row. `lift` is how far the bundle's
+// centre sits above the tray surface.
+function traySlotPosition(cfg, index, lift) {
+  const row = Math.floor(index / cfg.cols);
+  const col = index % cfg.cols;
+  return new THREE.Vector3(
+    cfg.x + (col - (cfg.cols - 1) / 2) * cfg.pitch,
+    cfg.y + cfg.height / 2 + lift,
+    cfg.z + (row - (cfg.rows - 1) / 2) * cfg.pitch
+  );
+}
+
+// ===== TRAY CHANGE-OVER =====
+// Placing the last bundle of a tray stops that side: the variant calls
+// start(), the full tray slides out with its bundles, an empty tray slides
+// back in and the completed tray is recorded. cfg is the `trayChangeover`
+// section { duration, travel, fullColor }; trayConfig(side) and tray(side)
+// give a side's settings and mesh, onFull(record) lets the variant log the
+// tray.
+function createTrayChangeover(cfg, { scene, trayConfig, tray, onFull, sides = ['left', 'right'] }) {
+  let changes = {}; // side -> change-over in progress
+  let completed = [];
+
+  return {
+    get completed() { return completed; },
+
+    isChanging(side) {
+      return !!changes[side];
+    },
+
+    // `bundles` fill the side's tray; they leave with it
+    start(side, bundles, cycle, time) {
+      const record = {
+        side,
+        tray: completed.filter(t => t.side === side).length + 1,
+        bundles: bundles.length,
+        cycle,
+        time
+      };
+      completed.push(record);
+      if (onFull) onFull(record);
+
+      changes[side] = {
+        elapsed: 0,
+        outgoing: bundles.map(bundle => ({ bundle, x: bundle.position.x }))
+      };
+      tray(side).material.color.set(cfg.fullColor);
+      return record;
+    },
+
+    update(dt) {
+      const half = cfg.duration / 2;
+      sides.forEach(side => {
+        const change = changes[side];
+        if (!change) return;
+        const trayCfg = trayConfig(side);
+        const mesh = tray(side);
+        const outward = Math.sign(trayCfg.x) || 1;
+        change.elapsed = Math.min(change.elapsed + dt, cfg.duration);
+
+        let offset;
+        if (change.elapsed < half) {
+          offset = cfg.travel * TIMELINE_EASINGS.quad(change.elapsed / half);
+        } else {
+          // Full tray is away; the empty one comes back in
+          if (change.outgoing) {
+            change.outgoing.forEach(({ bundle }) => scene.remove(bundle));
+            change.outgoing = null;
+            mesh.material.color.set(trayCfg.color);
+          }
+          offset = cfg.travel * (1 - TIMELINE_EASINGS.quad((change.elapsed - half) / half));
+        }
+
+        mesh.position.x = trayCfg.x + outward * offset;
+        (change.outgoing || []).forEach(({ bundle, x }) => {
+          bundle.position.x = x + outward * offset;
+        });
+
+        if (change.elapsed >= cfg.duration) changes[side] = null;
+      });
+    },
+
+    reset() {
+      sides.forEach(side => {
+        const change = changes[side];
+        if (change && change.outgoing) {
+          change.outgoing.forEach(({ bundle }) => scene.remove(bundle));
+        }
+        const trayCfg = trayConfig(side);
+        tray(side).position.x = trayCfg.x;
+        tray(side).material.color.set(trayCfg.color);
+      });
+      changes = {};
+      completed = [];
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// ===== SEEDED RANDOMNESS =====
+// Every random choice in a run derives from the run seed (engine.seed, set
+// from the URL ?seed= or the seed field), never from Math.random(). Draws
+// are keyed by what they decide ("fault:wrapperJam:left:12"), not taken in
+// sequence, so a replay, a seek or a rebuilt scene section gets the same
+// value whatever else was drawn before it.
+//
+//   randomRoll(key)     uniform [0, 1) from a string key
+//   createRandom(key)   generator of uniform [0, 1) values seeded from a
+//                       key, for things that need many draws (mulberry32)
+
+const DEFAULT_SEED = 1;
+
+// FNV-1a plus a final avalanche
+function hashKey(key) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    h = Math.imul(h ^ key.charCodeAt(i), 0x01000193);
+  }
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function randomRoll(key) {
+  return hashKey(key) / 4294967296;
+}
+
+function createRandom(key) {
+  let state = hashKey(key);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed from user input: a whole number, or null when it is not one
+function parseSeed(value) {
+  const seed = Number(value);
+  return value !== '' && value !== null && Number.isSafeInteger(seed) ? seed : null;
+}
@@ -0,0 +1,162 @@
+// ===== RUN RECORDER =====
+// Captures the renderer canvas over a span of simulated time at a fixed
+// frame rate. Every frame is produced by seeking the scrubber to its moment
+// and rendering it, so the result does not depend on playback speed or on
+// how fast this machine renders. Output is a WebM file or a numbered PNG
+// sequence; an optional overlay burns in the phase label and cycle timer.
+//
+// recordRun(options) → Promise of the number of frames written
+//   canvas    the renderer's canvas
+//   seek(t)   move the simulation to t seconds of simulated time
+//   render()  draw the current moment onto `canvas`
+//   from, to  simulated time span in seconds
+//   fps       frames per simulated second
+//   format    'webm' or 'png'
+//   overlay?  () => lines of text to burn into the top-left corner
+//   save(name, blob)   stores each output file
+//   onProgress?(done, total), signal?  aborting stops between frames
+
+const RECORDER_FORMATS = ['webm', 'png'];
+const RECORDER_MAX_FPS = 60; // one frame per scrubber step at most
+
+async function recordRun({ canvas, seek, render, from, to, fps, format, overlay, save, onProgress, name = 'run', signal }) {
+  if (!(from >= 0 && to > from)) throw new Error(`Recorder: time range ${from}-${to}s must end after it starts`);
+  if (!(fps > 0 && fps <= RECORDER_MAX_FPS)) throw new Error(`Recorder: fps must be between 0 and ${RECORDER_MAX_FPS}`);
+  if (!RECORDER_FORMATS.includes(format)) throw new Error(`Recorder: unknown format "${format}"`);
+
+  const total = Math.floor((to - from) * fps + 1e-9) + 1;
+
+  // Frames are composed on a 2D canvas so the overlay ends up in the file
+  const frame = document.createElement('canvas');
+  frame.width = canvas.width;
+  frame.height = canvas.height;
+  const ctx = frame.getContext('2d');
+
+  function compose(index) {
+    seek(from + index / fps);
+    render();
+    ctx.drawImage(canvas, 0, 0); // same task as render(), so the WebGL buffer is still there
+    if (overlay) drawOverlay(ctx, overlay());
+  }
+
+  const checkAborted = () => {
+    if (signal && signal.aborted) throw new Error('Recorder: recording was stopped');
+  };
+
+  if (format === 'png') {
+    const digits = String(total - 1).length;
+    for (let i = 0; i < total; i++) {
+      checkAborted();
+      compose(i);
+      const blob = await new Promise(resolve => frame.toBlob(resolve, 'image/png'));
+      await save(`${name}_${String(i).padStart(Math.max(digits, 5), '0')}.png`, blob);
+      if (onProgress) onProgress(i + 1, total);
+    }
+    return total;
+  }
+
+  // WebM: MediaRecorder timestamps frames by wall clock, so frames are
+  // handed over one frame interval apart however long each takes to render
+  if (typeof MediaRecorder === 'undefined' || !frame.captureStream) {
+    throw new Error('Recorder: this browser cannot record WebM; use the PNG sequence');
+  }
+  const stream = frame.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', event => chunks.push(event.data));
+  const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+  recorder.start();
+
+  const interval = 1000 / fps;
+  const started = performance.now();
+  try {
+    for (let i = 0; i < total; i++) {
+      checkAborted();
+      compose(i);
+      track.requestFrame();
+      if (onProgress) onProgress(i + 1, total);
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, started + (i + 1) * interval - performance.now())));
+    }
+  } finally {
+    recorder.stop();
+    track.stop();
+  }
+  await stopped;
+  await save(`${name}.webm`, new Blob(chunks, { type: 'video/webm' }));
+  return total;
+}
+
+function drawOverlay(ctx, lines) {
+  const size = Math.max(14, Math.round(ctx.canvas.height / 30));
+  ctx.save();
+  ctx.font = `bold ${size}px Arial`;
+  ctx.textBaseline = 'top';
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(size / 2, size / 2, width + size, lines.length * size * 1.3 + size / 2);
+  ctx.fillStyle = '#FFFFFF';
+  lines.forEach((line, i) => ctx.fillText(line, size, size * 0.75 + i * size * 1.3));
+  ctx.restore();
+}
+
+// Save each file as a download, or into a folder the user picks when the
+// browser can write to one (a PNG sequence is hundreds of files)
+async function pickRecordingTarget(format) {
+  if (format === 'png' && window.showDirectoryPicker) {
+    const folder = await window.showDirectoryPicker({ mode: 'readwrite' });
+    return async (name, blob) => {
+      const file = await folder.getFileHandle(name, { create: true });
+      const writable = await file.createWritable();
+      await writable.write(blob);
+      await writable.close();
+    };
+  }
+  return (name, blob) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+}
+
+// Wire the record controls to an engine (see engine.js). The span is either
+// `cycles` whole program cycles or `from`-`to` seconds, both starting at
+// `from`.
+function bindRecorder(engine, { button, status, mode, from, to, cycles, fps, format, overlay }) {
+  const syncMode = () => {
+    to.disabled = mode.value !== 'time';
+    cycles.disabled = mode.value !== 'cycles';
+  };
+  mode.addEventListener('change', syncMode);
+  syncMode();
+
+  button.addEventListener('click', async () => {
+    const start = parseFloat(from.value) || 0;
+    let end = parseFloat(to.value);
+    button.disabled = true;
+    status.classList.remove('config-error');
+    try {
+      // Cycles differ in length and the cell may be held, so count them on
+      // the variant's cycle clock
+      if (mode.value === 'cycles') end = engine.cyclesEnd(start, parseInt(cycles.value, 10));
+      const save = await pickRecordingTarget(format.value);
+      const frames = await engine.record({
+        from: start,
+        to: end,
+        fps: parseFloat(fps.value),
+        format: format.value,
+        overlay: overlay.checked,
+        save,
+        onProgress: (done, total) => { status.textContent = `Recording frame ${done} / ${total}...`; }
+      });
+      status.textContent = `Recorded ${frames} frames (${start.toFixed(1)}-${end.toFixed(1)}s)`;
+    } catch (e) {
+      status.textContent = e.message;
+      status.classList.add('config-error');
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
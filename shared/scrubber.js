@@ -0,0 +1,128 @@
+// ===== TIMELINE SCRUBBER =====
+// Deterministic clock for an app's simulation. The app supplies:
+//   reset()    put every piece of simulation state back to t = 0
+//   step(dt)   advance the simulation by dt seconds of simulated time
+//   clearHistory()  optional: drop recorded inputs kept across seeks
+// Playback always moves in whole fixed steps, so any moment can be rebuilt
+// exactly by resetting and replaying the same steps. That is how seek()
+// goes backwards and across cycles; seeking forwards just keeps stepping.
+// Settings are read live, so a replay uses their current values; replay()
+// rebuilds the current moment after they change. Controls whose past values
+// matter (e.g. the station choice) are kept by the app as timed history,
+// dropped by clearHistory().
+
+const SCRUBBER_STEP = 1 / 60;
+
+function createScrubber(sim, options = {}) {
+  const step = options.step || SCRUBBER_STEP;
+  let stepCount = 0;    // simulated time = stepCount * step, no float drift
+  let horizonSteps = 0; // furthest point simulated since the last reset
+  let pending = 0;      // wall-clock time not yet turned into steps
+  let replaying = false;
+  let halted = false;   // halt() was called during the current step
+
+  function runSteps(count) {
+    for (let i = 0; i < count && !halted; i++) {
+      sim.step(step);
+      stepCount++;
+    }
+    halted = false;
+    horizonSteps = Math.max(horizonSteps, stepCount);
+  }
+
+  return {
+    step,
+    get time() { return stepCount * step; },
+    get horizon() { return horizonSteps * step; },
+    // True while seek() is replaying history (skip side effects like logging)
+    get replaying() { return replaying; },
+
+    // Playback: turn elapsed (speed-scaled) seconds into whole steps, going
+    // no further than `limit` seconds (what is left stays pending)
+    advance(dt, limit = Infinity) {
+      pending += dt;
+      const count = Math.min(Math.floor(pending / step + 1e-9), Math.max(0, Math.round(limit / step) - stepCount));
+      pending -= count * step;
+      runSteps(count);
+    },
+
+    seek(time) {
+      const target = Math.max(0, Math.round(time / step));
+      pending = 0;
+      replaying = true;
+      try {
+        if (target < stepCount) {
+          sim.reset();
+          stepCount = 0;
+        }
+        runSteps(target - stepCount);
+      } finally {
+        replaying = false;
+      }
+    },
+
+    // Stop playback after the step in progress (call from sim.step), e.g. so
+    // the view holds on the moment something went wrong
+    halt() {
+      halted = true;
+      pending = 0;
+    },
+
+    // Rebuild the current moment from t = 0, e.g. after a settings change
+    replay() {
+      const target = stepCount;
+      pending = 0;
+      replaying = true;
+      try {
+        sim.reset();
+        stepCount = 0;
+        runSteps(target);
+      } finally {
+        replaying = false;
+      }
+    },
+
+    // Start over: back to t = 0 and forget the history
+    reset() {
+      if (sim.clearHistory) sim.clearHistory();
+      sim.reset();
+      stepCount = 0;
+      horizonSteps = 0;
+      pending = 0;
+    }
+  };
+}
+
+// Wire a range slider and an optional "go to" number input to a scrubber.
+// The slider spans everything simulated so far (at least `minRange` seconds)
+// and follows playback; call update() once per frame. A seek back replays
+// from t = 0, so dragging the slider only shows where it will go and the
+// seek happens when it is let go (its change event). Aborting `signal`
+// unbinds the controls.
+function bindScrubber(scrubber, { slider, input, label, minRange = 60, signal }) {
+  let dragging = false;
+  slider.step = scrubber.step;
+  slider.addEventListener('input', () => { dragging = true; }, { signal });
+  slider.addEventListener('change', () => {
+    dragging = false;
+    scrubber.seek(parseFloat(slider.value));
+  }, { signal });
+  if (input) {
+    input.addEventListener('change', () => {
+      const time = parseFloat(input.value);
+      if (!isNaN(time)) scrubber.seek(time);
+    }, { signal });
+  }
+
+  return {
+    update() {
+      slider.max = Math.max(minRange, Math.ceil(scrubber.horizon));
+      if (dragging) {
+        if (label) label.textContent = `${scrubber.time.toFixed(2)}s → ${parseFloat(slider.value).toFixed(2)}s`;
+        return;
+      }
+      slider.value = scrubber.time;
+      if (label) label.textContent = scrubber.time.toFixed(2) + 's';
+    }
+  };
+}
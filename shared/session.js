@@ -0,0 +1,96 @@
+// ===== SESSION RECORDING & REPLAY =====
+// A session holds what it takes to reproduce a run: the variant, the seed,
+// the settings and control values it started from (load, Reset or a new
+// seed) and every input since, stamped with the simulated time it was made
+// at: speed changes, pause / play, seeks, alarm acknowledgements, the
+// variant's own controls and settings changes. The simulation runs in fixed
+// steps and all randomness is seeded (see random.js), so playing the inputs
+// back at their times reproduces the run, anomalies included.
+//
+// Controls with an id are recorded from their DOM events under `root`:
+// buttons by click, fields by input and change. Anything inside a
+// [data-session="skip"] element is left out (controls that start a new
+// session or only export something). The engine records settings changes
+// itself, as { type: 'config', values }.
+
+const SESSION_FILE_FORMAT = 'filament-session';
+const SESSION_FILE_VERSION = 1;
+
+function isSessionControl(element) {
+  return !!element.id && !element.closest('[data-session="skip"]');
+}
+
+// Listen for recordable control events; record(input) gets { id, type, value }
+function captureSessionInputs(root, record, signal) {
+  const listener = event => {
+    const element = event.target;
+    if (!isSessionControl(element)) return;
+    if (event.type === 'click') {
+      if (element.tagName === 'BUTTON') record({ type: 'click', id: element.id });
+    } else if (element.tagName === 'INPUT' || element.tagName === 'SELECT') {
+      if (element.type === 'file') return;
+      record({ type: event.type, id: element.id, value: element.type === 'checkbox' ? element.checked : element.value });
+    }
+  };
+  ['click', 'input', 'change'].forEach(type => root.addEventListener(type, listener, { capture: true, signal }));
+}
+
+// Current values of the fields under `container`, by id
+function snapshotControls(container) {
+  const controls = {};
+  container.querySelectorAll('input[id], select[id]').forEach(element => {
+    if (!isSessionControl(element) || element.type === 'file') return;
+    controls[element.id] = element.type === 'checkbox' ? element.checked : element.value;
+  });
+  return controls;
+}
+
+// Put fields back to snapshot values; their handlers see input and change
+function restoreControls(controls) {
+  Object.entries(controls).forEach(([id, value]) => {
+    const element = document.getElementById(id);
+    if (!element) return;
+    setControlValue(element, value);
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
+
+function setControlValue(element, value) {
+  if (element.type === 'checkbox') element.checked = value;
+  else element.value = value;
+}
+
+// Replay one recorded control input
+function applySessionInput(input) {
+  const element = document.getElementById(input.id);
+  if (!element) throw new Error(`Session: control "${input.id}" is not on this page`);
+  if (input.type === 'click') {
+    element.click();
+    return;
+  }
+  setControlValue(element, input.value);
+  element.dispatchEvent(new Event(input.type, { bubbles: true }));
+}
+
+function sessionToJSON(session) {
+  return JSON.stringify(Object.assign({ format: SESSION_FILE_FORMAT, version: SESSION_FILE_VERSION }, session), null, 2);
+}
+
+// Parse a saved session file; throws on anything that cannot be replayed
+function parseSessionJSON(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Session: not valid JSON (${e.message})`);
+  }
+  if (!file || file.format !== SESSION_FILE_FORMAT) throw new Error(`Session: not a session file (format "${SESSION_FILE_FORMAT}" expected)`);
+  if (file.version !== SESSION_FILE_VERSION) throw new Error(`Session: unsupported version ${JSON.stringify(file.version)}`);
+  if (!PROCESS_VARIANTS[file.app]) throw new Error(`Session: unknown variant "${file.app}"`);
+  if (parseSeed(file.seed) === null) throw new Error(`Session: invalid seed ${JSON.stringify(file.seed)}`);
+  if (!Array.isArray(file.inputs) || !file.inputs.every(input => Number.isFinite(input.time) && input.type)) {
+    throw new Error('Session: inputs must each have a time and a type');
+  }
+  return file;
+}
@@ -0,0 +1,81 @@
+// ===== HEADLESS THROUGHPUT MODEL =====
+// Runs a process program through the timeline engine without a scene or
+// WebGL: channels are no-ops, the program's `output` event counts finished
+// bundles and each phase's `busy` table is integrated over time. This is
+// the ideal phase model (no starvation, tray change-overs or faults), so
+// layouts are compared on equal terms.
+//
+// options:
+//   hours                   simulated time (default 1)
+//   phaseDurations(cycle)   per-cycle phase times, as a rig's (see
+//                           timeline.js), for programs whose cycles vary
+//   rejects(cycle)          how many of the cycle's output bundles the
+//                           checkweigh rejects; they are reported apart and
+//                           not counted as bundles
+
+function measureThroughput(program, options = {}) {
+  if (!program.output) throw new Error(`Throughput: program "${program.name}" declares no output event`);
+
+  const hours = options.hours || 1;
+  const horizon = hours * 3600;
+  const rejectsOf = options.rejects || (() => 0);
+  const resources = program.resources || {};
+  const busyTime = {};
+  Object.keys(resources).forEach(resource => { busyTime[resource] = 0; });
+  let bundles = 0;
+  let rejects = 0;
+
+  // Headless rig: every channel and event exists, only the output event counts
+  const ignore = () => {};
+  const rig = {
+    config: {},
+    phaseDurations: options.phaseDurations,
+    channels: new Proxy({}, { get: () => ignore }),
+    events: new Proxy({}, {
+      get: (target, type) => type === program.output.event
+        ? (event, ctx) => {
+          const rejected = rejectsOf(ctx.cycle);
+          bundles += program.output.bundles - rejected;
+          rejects += rejected;
+        }
+        : ignore
+    })
+  };
+  const timeline = createTimeline(program, rig);
+
+  // Walk phase by phase; events fire exactly as they would in the app
+  let cycles = 0;
+  for (let layout = timeline.layoutOf(0); layout.start < horizon; layout = timeline.layoutOf(++cycles)) {
+    program.phases.forEach((phase, index) => {
+      const from = layout.start + layout.bounds[index][0];
+      if (from >= horizon) return;
+      const to = Math.min(horizon, layout.start + layout.bounds[index][1]);
+      Object.entries(phase.busy || {}).forEach(([resource, units]) => {
+        busyTime[resource] += units * (to - from);
+      });
+      timeline.fireEvents(from, to);
+    });
+  }
+
+  const last = timeline.layoutOf(cycles - 1);
+  const report = {};
+  Object.entries(resources).forEach(([resource, units]) => {
+    const available = units * horizon;
+    report[resource] = {
+      units,
+      utilization: busyTime[resource] / available,
+      idleMinutesPerUnitPerHour: (available - busyTime[resource]) / units / hours / 60
+    };
+  });
+
+  return {
+    name: program.name,
+    cycleDuration: (last.start + last.duration) / cycles, // mean
+    hours,
+    bundles,
+    bundlesPerHour: bundles / hours,
+    rejects,
+    rejectsPerHour: rejects / hours,
+    resources: report
+  };
+}
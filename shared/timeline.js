@@ -0,0 +1,368 @@
+// ===== DECLARATIVE KEYFRAME TIMELINE =====
+// Generic interpreter for process programs (see <variant>/program.js).
+// A program is the PHASES table extended with per-phase channel keyframes
+// (arm angles, jaw openings, press plates...) and one-shot events
+// (spawn, attach, release, swap, place...). Each app supplies a "rig" that
+// maps channel and event names onto its own scene objects.
+//
+// Channel key forms (inside phase.keys):
+//   90                       hold a constant for the whole phase
+//   '$leftMachine.x'         read a value from rig.config
+//   { left: 90, right: -90 } pick by ctx.side (see rig.context)
+//   [0, 90]                  tween over the phase (3+ values = evenly spaced)
+//   { keys: [[0, 0.35], [0.3, 0.35], [0.3, 0.4]], easing: 'linear' }
+//                            explicit keyframes at raw phase progress
+//   { wave: 'sine', freq: 8, amp: 0.1, decay: 0.7, base: 0 }
+//                            oscillator on raw phase progress: `freq`
+//                            periods over the phase, or `hz` periods per
+//                            second of it; freq, hz and amp may be '$...'
+//
+// Optional resource model (see throughput.js): the program declares
+// `resources` (units of each machine in the cell) and `output` (the event
+// that delivers finished bundles); a phase's `busy` says how many units of
+// each resource it occupies.
+//
+// A channel not keyed by the current phase holds the value it had at the
+// end of the last phase that keyed it, so channel state is a pure
+// function of time.
+//
+// Optional per-cycle timing: rig.phaseDurations(cycle, ctx) returns
+// { phaseName: seconds } for the phases that take another time in that
+// cycle than in the table (e.g. process times of the product being made).
+// Cycles then follow one another at their own lengths; a phase may be empty
+// in the table (start === end) and only get a length from the rig. The
+// lengths are worked out cycle by cycle and kept until reset().
+
+const TIMELINE_EASINGS = {
+  linear: t => t,
+  quad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+  cubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+// Programs by name; each <variant>/program.js registers its own, so one page
+// (or the headless tools) can hold them all
+const PROCESS_PROGRAMS = {};
+
+function defineProgram(program) {
+  if (PROCESS_PROGRAMS[program.name]) throw new Error(`Timeline: program "${program.name}" is defined twice`);
+  PROCESS_PROGRAMS[program.name] = program;
+  return program;
+}
+
+function createTimeline(program, rig) {
+  validateProgram(program, rig);
+
+  const duration = program.cycleDuration;
+  const phases = program.phases;
+  const drivers = buildChannelDrivers(phases);
+
+  // Flatten events into one list in cycle order; phases keep their order
+  // whatever their length, so this holds for every cycle
+  const events = [];
+  phases.forEach((phase, phaseIndex) => {
+    (phase.events || []).forEach((event, order) => {
+      events.push({ phaseIndex, order, event });
+    });
+  });
+  events.sort((a, b) => a.phaseIndex - b.phaseIndex || a.event.at - b.event.at || a.order - b.order);
+
+  function contextFor(cycle) {
+    const extra = rig.context ? rig.context(cycle) : {};
+    return Object.assign({ cycle, config: rig.config }, extra);
+  }
+
+  // Where a cycle starts and the [start, end) of each phase within it
+  const tableBounds = phases.map(phase => [phase.start, phase.end]);
+  let layouts = [];
+
+  function layoutOf(cycle) {
+    if (!rig.phaseDurations) return { start: cycle * duration, duration, bounds: tableBounds };
+    while (layouts.length <= cycle) {
+      const n = layouts.length;
+      const lengths = rig.phaseDurations(n, contextFor(n)) || {};
+      let cursor = 0;
+      const bounds = phases.map(phase => {
+        const length = phase.name in lengths ? lengths[phase.name] : phase.end - phase.start;
+        if (!(length >= 0)) throw new Error(`Timeline: phase "${phase.name}" of cycle ${n} has length ${length}`);
+        cursor += length;
+        return [cursor - length, cursor];
+      });
+      if (!(cursor > 0)) throw new Error(`Timeline: cycle ${n} has no length`);
+      const previous = layouts[n - 1];
+      layouts.push({ start: previous ? previous.start + previous.duration : 0, duration: cursor, bounds });
+    }
+    return layouts[cycle];
+  }
+
+  function cycleAt(time) {
+    if (!rig.phaseDurations) return Math.floor(time / duration);
+    let last = layoutOf(Math.max(0, layouts.length - 1));
+    while (last.start + last.duration <= time) last = layoutOf(layouts.length);
+    let low = 0;
+    let high = layouts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (layouts[mid].start <= time) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  // Fire every event whose absolute time lies in [fromTime, toTime)
+  function fireEvents(fromTime, toTime) {
+    if (toTime <= fromTime) return;
+    const firstCycle = cycleAt(fromTime);
+    const lastCycle = cycleAt(toTime);
+
+    for (let cycle = firstCycle; cycle <= lastCycle; cycle++) {
+      const { start, bounds } = layoutOf(cycle);
+      const ctx = contextFor(cycle);
+      for (const entry of events) {
+        const [phaseStart, phaseEnd] = bounds[entry.phaseIndex];
+        const t = start + phaseStart + entry.event.at * (phaseEnd - phaseStart);
+        if (t < fromTime || t >= toTime) continue;
+        ctx.phase = phases[entry.phaseIndex];
+        rig.events[entry.event.type](entry.event, ctx);
+      }
+    }
+  }
+
+  function phaseAt(time) {
+    const cycle = cycleAt(time);
+    const { start, bounds } = layoutOf(cycle);
+    const loopTime = time - start;
+    const index = bounds.findIndex(([phaseStart, phaseEnd]) => loopTime >= phaseStart && loopTime < phaseEnd);
+    if (index < 0) return null;
+    const [phaseStart, phaseEnd] = bounds[index];
+    const progress = (loopTime - phaseStart) / (phaseEnd - phaseStart);
+    return { phase: phases[index], index, progress, cycle, loopTime, time };
+  }
+
+  // Drive every channel to its value at the given absolute time
+  function applyChannels(time) {
+    const state = phaseAt(time);
+    if (!state) return null;
+
+    const ctx = contextFor(state.cycle);
+    const previousCtx = contextFor(state.cycle - 1);
+
+    Object.entries(drivers[state.index]).forEach(([channel, driverIndex]) => {
+      const driver = phases[driverIndex];
+      const isCurrent = driverIndex === state.index;
+      // A driver later in the table is holding over from the previous cycle
+      const driverCtx = driverIndex > state.index ? previousCtx : ctx;
+      const [driverStart, driverEnd] = layoutOf(Math.max(0, driverCtx.cycle)).bounds[driverIndex];
+      const value = evaluateKey(driver.keys[channel], isCurrent ? state.progress : 1, easingFor(driver, program), driverCtx, driverEnd - driverStart);
+      rig.channels[channel](value, driverCtx);
+    });
+
+    // Let the rig resolve derived state (e.g. IK) once all channels are set
+    if (rig.afterChannels) rig.afterChannels(state, ctx);
+
+    return state;
+  }
+
+  return {
+    program,
+    duration,
+    phases,
+    phaseAt,
+    fireEvents,
+    applyChannels,
+    layoutOf,
+    // Forget the per-cycle lengths, e.g. after the settings behind them changed
+    reset() {
+      layouts = [];
+    },
+    // Move the timeline from one absolute time to another: events first,
+    // then channel values for the destination time.
+    advance(fromTime, toTime) {
+      fireEvents(fromTime, toTime);
+      return applyChannels(toTime);
+    }
+  };
+}
+
+// For each phase: channel name -> index of the phase whose keys drive it
+function buildChannelDrivers(phases) {
+  const channels = new Set();
+  phases.forEach(phase => Object.keys(phase.keys || {}).forEach(ch => channels.add(ch)));
+
+  return phases.map((phase, index) => {
+    const map = {};
+    channels.forEach(channel => {
+      for (let back = 0; back < phases.length; back++) {
+        const candidate = (index - back + phases.length) % phases.length;
+        const keys = phases[candidate].keys;
+        if (keys && channel in keys) {
+          map[channel] = candidate;
+          break;
+        }
+      }
+    });
+    return map;
+  });
+}
+
+function easingFor(phase, program) {
+  return composeEasing(phase.easing || program.easing || 'linear');
+}
+
+function composeEasing(spec) {
+  const names = Array.isArray(spec) ? spec : [spec];
+  const fns = names.map(name => TIMELINE_EASINGS[name]);
+  return t => fns.reduce((value, fn) => fn(value), t);
+}
+
+// `length` is the driving phase's length in seconds, for `hz` waves
+function evaluateKey(key, progress, ease, ctx, length) {
+  if (Array.isArray(key)) {
+    const last = key.length - 1;
+    return interpolateKeys(key.map((value, i) => [i / last, value]), progress, ease, ctx);
+  }
+  if (key && typeof key === 'object') {
+    if ('wave' in key) {
+      const base = key.base === undefined ? 0 : resolveValue(key.base, ctx);
+      const decay = key.decay || 0;
+      const periods = 'hz' in key ? resolveValue(key.hz, ctx) * length : resolveValue(key.freq, ctx);
+      return base + Math.sin(progress * periods * Math.PI * 2) * resolveValue(key.amp, ctx) * (1 - progress * decay);
+    }
+    if ('keys' in key) {
+      const keyEase = key.easing ? composeEasing(key.easing) : ease;
+      return interpolateKeys(key.keys, progress, keyEase, ctx);
+    }
+  }
+  return resolveValue(key, ctx);
+}
+
+function interpolateKeys(keys, progress, ease, ctx) {
+  if (progress <= keys[0][0]) return resolveValue(keys[0][1], ctx);
+
+  for (let i = keys.length - 1; i > 0; i--) {
+    const [p0, v0] = keys[i - 1];
+    const [p1, v1] = keys[i];
+    if (progress < p0) continue;
+    if (progress >= p1) return resolveValue(v1, ctx);
+    const a = resolveValue(v0, ctx);
+    const b = resolveValue(v1, ctx);
+    return a + (b - a) * ease((progress - p0) / (p1 - p0));
+  }
+  return resolveValue(keys[keys.length - 1][1], ctx);
+}
+
+function resolveValue(value, ctx) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value[0] === '$') {
+    return value.slice(1).split('.').reduce((obj, part) => obj[part], ctx.config);
+  }
+  if (value && typeof value === 'object' && ctx.side in value) {
+    return resolveValue(value[ctx.side], ctx);
+  }
+  throw new Error(`Timeline: cannot resolve value ${JSON.stringify(value)}`);
+}
+
+// ===== PROGRAM VALIDATION =====
+// Catch typos in hand-edited programs at load time instead of mid-cycle
+function validateProgram(program, rig) {
+  const fail = msg => { throw new Error(`Timeline program "${program.name}": ${msg}`); };
+
+  if (!(program.cycleDuration > 0)) fail('cycleDuration must be a positive number');
+  if (!Array.isArray(program.phases) || program.phases.length === 0) fail('phases must be a non-empty array');
+
+  let cursor = 0;
+  program.phases.forEach(phase => {
+    if (phase.start !== cursor) fail(`phase "${phase.name}" starts at ${phase.start}, expected ${cursor}`);
+    if (!(phase.end >= phase.start)) fail(`phase "${phase.name}" must not end before it starts`);
+    cursor = phase.end;
+
+    const easing = phase.easing || program.easing || 'linear';
+    (Array.isArray(easing) ? easing : [easing]).forEach(name => {
+      if (!TIMELINE_EASINGS[name]) fail(`phase "${phase.name}" uses unknown easing "${name}"`);
+    });
+
+    Object.entries(phase.keys || {}).forEach(([channel, key]) => {
+      if (!rig.channels[channel]) fail(`phase "${phase.name}" keys unknown channel "${channel}"`);
+      if (key && key.wave !== undefined && key.wave !== 'sine') fail(`channel "${channel}" uses unknown wave "${key.wave}"`);
+      if (key && key.wave !== undefined && ('freq' in key) === ('hz' in key)) fail(`channel "${channel}" needs either "freq" or "hz" for its wave`);
+    });
+
+    (phase.events || []).forEach(event => {
+      if (!rig.events[event.type]) fail(`phase "${phase.name}" fires unknown event "${event.type}"`);
+      if (!(event.at >= 0 && event.at <= 1)) fail(`event "${event.type}" in "${phase.name}" needs "at" between 0 and 1`);
+    });
+
+    // Resource occupancy for the headless throughput model
+    Object.entries(phase.busy || {}).forEach(([resource, units]) => {
+      const available = (program.resources || {})[resource];
+      if (available === undefined) fail(`phase "${phase.name}" occupies undeclared resource "${resource}"`);
+      if (!(units > 0 && units <= available)) fail(`phase "${phase.name}" occupies ${units} "${resource}", the cell has ${available}`);
+    });
+  });
+
+  if (cursor !== program.cycleDuration) fail(`phases end at ${cursor}, expected cycleDuration ${program.cycleDuration}`);
+
+  if (program.output) {
+    const fired = program.phases.some(phase => (phase.events || []).some(e => e.type === program.output.event));
+    if (!fired) fail(`output event "${program.output.event}" is never fired`);
+  }
+}
+
+// ===== PER-SIDE CLOCKS =====
+// A cell whose arms each run the whole program on their own (twoHand) keeps
+// one clock per side and advances the timeline once per side. Meanwhile
+// `side` names the side being advanced: the rig's context() returns it as
+// ctx.side, and its channels and events act on that side only. A held
+// side's clock stands still while the other side keeps running.
+function createSideClocks(sides) {
+  let times = {};
+  let driven = null;
+
+  function eachSide(fn) {
+    const results = {};
+    sides.forEach(side => {
+      driven = side;
+      results[side] = fn(side);
+    });
+    driven = null;
+    return results;
+  }
+
+  function reset() {
+    times = {};
+    sides.forEach(side => { times[side] = 0; });
+  }
+  reset();
+
+  return {
+    sides,
+    get side() { return driven; },
+    time(side) {
+      return times[side];
+    },
+    // One step of dt for every side that held(side) does not hold; returns
+    // the timeline state of each side
+    advance(timeline, dt, held) {
+      return eachSide(side => {
+        const from = times[side];
+        if (!held(side)) times[side] += dt;
+        return timeline.advance(from, times[side]);
+      });
+    },
+    // Drive each side's channels to its current time
+    applyChannels(timeline) {
+      return eachSide(side => timeline.applyChannels(times[side]));
+    },
+    // The state the engine works with (OEE, collision checks, recording
+    // whole cycles), from the states advance() returned: the phase and cycle
+    // of the side furthest behind, as the cell clock the mean of the side
+    // clocks (with one side held the cell runs at half rate) and each side's
+    // own clock in `sideTimes`
+    cellState(states) {
+      const behind = sides.reduce((last, side) => (times[side] < times[last] ? side : last));
+      if (!states[behind]) return null;
+      const total = sides.reduce((sum, side) => sum + times[side], 0);
+      return Object.assign({}, states[behind], { time: total / sides.length, sideTimes: Object.assign({}, times) });
+    },
+    reset
+  };
+}
@@ -0,0 +1,71 @@
+// ===== SINGLE-ARM PROCESS PROGRAM =====
+// Data-only motion sequence, interpreted by ../shared/timeline.js.
+// Arm yaw (degrees) names the station targets in variant.js (`$targets.topStation`,
+// `$targets.leftMachine`, ...), derived from the station layout so stations
+// can move without re-tuning angles. Jaw values are the half-opening of the
+// gripper. `{ left, right }` values follow the station chosen for the
+// current cycle; `fault` events are points where a fault may occur (see
+// ../shared/faults.js). `busy` lists the resource units a phase occupies,
+// for the headless model in ../shared/throughput.js. `tape.progress` is the
+// share of the tape helix wound on (see ../shared/parts.js), full at the swap.
+
+defineProgram({
+  name: 'singleHand',
+  cycleDuration: 8.0,
+  easing: 'cubic',
+  resources: { arm: 1, wrapper: 2 },
+  output: { event: 'place', bundles: 1 },
+  phases: [
+    {
+      name: 'spawn', start: 0.0, end: 0.5, label: '📦 Bundle loaded at TOP station',
+      keys: { 'arm.yaw': '$targets.topStation', 'jaw.open': 0.35 },
+      events: [{ at: 0, type: 'spawn' }]
+    },
+    {
+      name: 'pick', start: 0.5, end: 1.5, label: '🦾 Picking bundle from TOP', busy: { arm: 1 },
+      keys: { 'arm.yaw': '$targets.topStation', 'jaw.open': [0.35, 0.25] },
+      events: [{ at: 0.5, type: 'attach' }]
+    },
+    {
+      name: 'transport_to_wrapper', start: 1.5, end: 3.0, label: '🔄 Transporting to wrapping station', busy: { arm: 1 },
+      keys: { 'arm.yaw': ['$targets.topStation', { left: '$targets.leftMachine', right: '$targets.rightMachine' }], 'jaw.open': 0.25 },
+      events: [{ at: 0.5, type: 'fault', fault: 'droppedBundle' }]
+    },
+    {
+      name: 'insert_wrapper', start: 3.0, end: 3.5, label: '📥 Inserting into wrapping machine', busy: { arm: 1, wrapper: 1 },
+      keys: { 'arm.yaw': { left: '$targets.leftMachine', right: '$targets.rightMachine' }, 'jaw.open': [0.25, 0.35] },
+      events: [{ at: 0.5, type: 'release', station: { left: 'leftMachine', right: 'rightMachine' }, y: 1.5 }]
+    },
+    {
+      name: 'wrapping', start: 3.5, end: 5.5, label: '🎁 WRAPPING in progress...', busy: { wrapper: 1 },
+      keys: {
+        'disk.spin': { keys: [[0, 0], [1, 690]], easing: 'linear' },
+        'bundle.spin': { keys: [[0, 0], [1, 690]], easing: 'linear' },
+        'tape.progress': { keys: [[0, 0], [0.7, 1], [1, 1]], easing: 'linear' }
+      },
+      events: [
+        { at: 0.2, type: 'fault', fault: 'emptyTape' },
+        { at: 0.5, type: 'fault', fault: 'wrapperJam' },
+        { at: 0.7, type: 'swap', into: 'wrapped' }
+      ]
+    },
+    {
+      name: 'exit_wrapper', start: 5.5, end: 6.0, label: '✅ Bundle wrapped successfully', busy: { arm: 1, wrapper: 1 },
+      keys: { 'arm.yaw': { left: '$targets.leftMachine', right: '$targets.rightMachine' }, 'jaw.open': [0.35, 0.25] },
+      events: [{ at: 0.5, type: 'attach' }]
+    },
+    {
+      name: 'transport_to_tray', start: 6.0, end: 7.0, label: '🔄 Transporting to output tray', busy: { arm: 1 },
+      keys: { 'arm.yaw': [{ left: '$targets.leftMachine', right: '$targets.rightMachine' }, { left: '$targets.leftTray', right: '$targets.rightTray' }], 'jaw.open': 0.25 }
+    },
+    {
+      name: 'place_in_tray', start: 7.0, end: 7.5, label: '📍 Placed in output tray', busy: { arm: 1 },
+      keys: { 'arm.yaw': { left: '$targets.leftTray', right: '$targets.rightTray' }, 'jaw.open': [0.25, 0.4] },
+      events: [{ at: 0.5, type: 'place' }]
+    },
+    {
+      name: 'reset', start: 7.5, end: 8.0, label: '🔄 Ready for next bundle', busy: { arm: 1 },
+      keys: { 'arm.yaw': [{ left: '$targets.leftTray', right: '$targets.rightTray' }, '$targets.topStation'], 'jaw.open': 0.35 }
+    }
+  ]
+});
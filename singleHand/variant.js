@@ -0,0 +1,786 @@
+// ===== FILAMENT PICK-AND-PLACE BUNDLING SYSTEM =====
+// Single-arm variant: TOP → CENTER ARM → LEFT/RIGHT WRAPPING → TRAYS
+// (runs on ../shared/engine.js)
+
+defineVariant({
+  name: 'singleHand',
+  title: 'Filament Pick-and-Place Bundling System',
+  subtitle: 'Complete automation: TOP → CENTER → LEFT/RIGHT → TRAYS',
+  program: PROCESS_PROGRAMS.singleHand,
+
+  // MACHINE CONFIGURATION
+  config: {
+    // TOP STATION - Placing Point
+    topStation: {
+      x: 0, y: 0, z: -7,
+      platformWidth: 3,
+      platformDepth: 2,
+      platformHeight: 0.3,
+      color: '#555555',
+      starvedColor: '#AA2222'
+    },
+
+    // FEED QUEUE at the TOP station (finite input buffer)
+    feedQueue: {
+      capacity: 4,
+      initial: 4,
+      replenishInterval: 6.0, // seconds of simulated time per delivered bundle
+      slots: [
+        { x: -0.6, z: -0.4 },
+        { x: 0.6, z: -0.4 },
+        { x: -0.6, z: 0.4 },
+        { x: 0.6, z: 0.4 }
+      ]
+    },
+
+    // CENTER - Robotic Arm Base
+    centerBase: {
+      x: 0, y: 0, z: 0,
+      radius: 1.2,
+      height: 0.5,
+      color: '#4444FF',
+      armLength: 7, // the grip sits 0.25 short of the tip, see gripRadius()
+      armWidth: 0.4,
+      armHeight: 0.3,
+      armColor: '#FF6B6B'
+    },
+
+    // LEFT WRAPPING MACHINE
+    leftMachine: {
+      x: -6, y: 0, z: 0,
+      bodyWidth: 2.5,
+      bodyHeight: 3,
+      bodyDepth: 2,
+      bodyColor: '#00AA00',
+      diskRadius: 1,
+      diskHeight: 0.3,
+      diskColor: '#FFA500'
+    },
+
+    // RIGHT WRAPPING MACHINE
+    rightMachine: {
+      x: 6, y: 0, z: 0,
+      bodyWidth: 2.5,
+      bodyHeight: 3,
+      bodyDepth: 2,
+      bodyColor: '#00AA00',
+      diskRadius: 1,
+      diskHeight: 0.3,
+      diskColor: '#FFA500'
+    },
+
+    // LEFT OUTPUT TRAY
+    leftTray: {
+      x: -6, y: 0.2, z: 4,
+      width: 3,
+      depth: 3,
+      height: 0.4,
+      color: '#8B4513',
+      rows: 2,
+      cols: 4,
+      pitch: 0.7 // distance between slot centres
+    },
+
+    // RIGHT OUTPUT TRAY
+    rightTray: {
+      x: 6, y: 0.2, z: 4,
+      width: 3,
+      depth: 3,
+      height: 0.4,
+      color: '#8B4513',
+      rows: 2,
+      cols: 4,
+      pitch: 0.7
+    },
+
+    // TRAY CHANGE-OVER (full tray slides out, an empty one slides in)
+    trayChangeover: {
+      duration: 5.0, // seconds the side is stopped
+      travel: 5,     // how far the tray slides away from the cell
+      fullColor: '#AA2222'
+    },
+
+    // FAULTS (see ../shared/faults.js); `scheduled` cycles count from 0,
+    // e.g. { type: 'wrapperJam', cycle: 2, side: 'left' }
+    faults: {
+      inject: false,      // random faults at the program's fault points
+      autoRecover: false, // clear alarms after their repair time
+      probability: { wrapperJam: 0.03, droppedBundle: 0.02, emptyTape: 0.02 },
+      scheduled: [],
+      alarmColor: '#FF5459'
+    },
+
+    // RAW BUNDLE
+    rawBundle: {
+      radius: 0.35,
+      height: 0.8,
+      color: '#F5DEB3'
+    },
+
+    // WRAPPED BUNDLE (one band of tape round the middle, wound in two
+    // passes; overlap is the share of the tape width each turn covers)
+    wrappedBundle: {
+      radius: 0.35,
+      height: 0.8,
+      bodyColor: '#CD853F',
+      bandColor: '#FFFFFF',
+      bands: [0],
+      bandLength: 0.24,
+      tapeWidth: 0.08,
+      overlap: 0.5,
+      wraps: 2,
+      tapeThickness: 0.0015
+    }
+  },
+
+  panel: `
+    <div class="controls-bar">
+      <select id="stationSelect" class="btn btn--secondary" style="padding: var(--space-8) var(--space-12);">
+        <option value="left">Process LEFT</option>
+        <option value="right">Process RIGHT</option>
+        <option value="both">Alternate BOTH</option>
+      </select>
+      <label for="feedRate" class="slider-label">Feed every: <span id="feed-rate-value">6.0s</span></label>
+      <input type="range" min="2" max="16" step="0.5" id="feedRate" value="6" style="width:120px;" data-session="skip">
+    </div>
+    <div class="panel">
+      <span class="info-panel" style="font-size: var(--font-size-base);">🎯 Station: <span id="currentStation">LEFT</span></span>
+      <span class="info-panel">🧺 Feed queue: <span id="feedQueueCount">0</span></span>
+      <span class="info-panel">⛔ Starved: <span id="starvedTime">0.0s</span></span>
+    </div>
+    <div class="panel">
+      <span class="info-panel">🧺 Trays completed: <span id="traysCompleted">0</span></span>
+      <span class="info-panel">🔁 Tray change stops: <span id="trayStopTime">0.0s</span></span>
+      <div id="trayLog" class="tray-log"></div>
+    </div>`,
+
+  create: createSingleHandCell
+});
+
+function createSingleHandCell(engine) {
+  const MACHINE_CONFIG = engine.config;
+  const scene = engine.scene;
+  const faults = engine.faults;
+
+  // ANIMATION TIMELINE (8.0 second cycle)
+  // Phases, keyframes and events live in program.js (see ../shared/timeline.js)
+  const CYCLE_DURATION = engine.program.cycleDuration;
+  const PHASES = engine.program.phases;
+
+  // ===== STATE =====
+  let cycleTime = 0;
+  let selectedStation = 'left'; // 'left', 'right', or 'both'
+  // Station choices by simulated time, { time, station } in time order, so a
+  // replay switches stations where the operator did; kept across seeks
+  let stationChanges = [{ time: 0, station: 'left' }];
+
+  // ===== MACHINE COMPONENTS =====
+  const machine = {
+    // Stations
+    topPlatform: null,
+    rawBundles: [], // feed queue, head first
+    feedTimer: 0,
+    isStarved: false,
+    starvedTime: 0,
+    centerBase: null,
+    centerPivot: null,
+    robotArm: null,
+    gripper: null,
+    gripperJaws: [],
+
+    // Machines
+    leftMachineBody: null,
+    leftMachineDisk: null,
+    rightMachineBody: null,
+    rightMachineDisk: null,
+
+    // Trays
+    leftTray: null,
+    rightTray: null,
+    leftBundles: [],
+    rightBundles: [],
+    trayStopTime: 0,
+
+    // Active bundle being processed
+    currentBundle: null,
+    currentBundleIsWrapped: false
+  };
+
+  // UI Elements
+  const cycleText = document.getElementById('cycleText');
+  const cycleTimer = document.getElementById('cycleTimer');
+  const currentStationDisplay = document.getElementById('currentStation');
+  const stationSelect = document.getElementById('stationSelect');
+  const feedRateSlider = document.getElementById('feedRate');
+  const feedRateValue = document.getElementById('feed-rate-value');
+  const feedQueueDisplay = document.getElementById('feedQueueCount');
+  const starvedTimeDisplay = document.getElementById('starvedTime');
+  const traysCompletedDisplay = document.getElementById('traysCompleted');
+  const trayStopTimeDisplay = document.getElementById('trayStopTime');
+  const trayLog = document.getElementById('trayLog');
+
+  // ===== BUILD MACHINE COMPONENTS =====
+  // Scene sections and the MACHINE_CONFIG settings they draw; a config change
+  // rebuilds only the sections that use it
+  const SCENE_SECTIONS = {
+    topStation: { build: buildTopStation, uses: ['topStation'] },
+    centerRobot: { build: buildCenterRobot, uses: ['centerBase'] },
+    leftMachine: { build: () => buildWrapper('left'), uses: ['leftMachine'] },
+    rightMachine: { build: () => buildWrapper('right'), uses: ['rightMachine'] },
+    leftTray: { build: () => buildTray('left'), uses: ['leftTray'] },
+    rightTray: { build: () => buildTray('right'), uses: ['rightTray'] }
+  };
+
+  function buildTopStation() {
+    const cfg = MACHINE_CONFIG.topStation;
+    const platformGeo = new THREE.BoxGeometry(cfg.platformWidth, cfg.platformHeight, cfg.platformDepth);
+    const platformMat = new THREE.MeshStandardMaterial({
+      color: cfg.color,
+      metalness: 0.6,
+      roughness: 0.4
+    });
+    machine.topPlatform = new THREE.Mesh(platformGeo, platformMat);
+    machine.topPlatform.position.set(cfg.x, cfg.platformHeight / 2, cfg.z);
+    machine.topPlatform.receiveShadow = true;
+    machine.topPlatform.castShadow = true;
+    scene.add(machine.topPlatform);
+  }
+
+  function buildCenterRobot() {
+    const cfg = MACHINE_CONFIG.centerBase;
+
+    // Center base platform
+    const baseGeo = new THREE.CylinderGeometry(cfg.radius, cfg.radius, cfg.height, 32);
+    const baseMat = new THREE.MeshStandardMaterial({
+      color: cfg.color,
+      metalness: 0.8,
+      roughness: 0.2
+    });
+    machine.centerBase = new THREE.Mesh(baseGeo, baseMat);
+    machine.centerBase.position.set(cfg.x, cfg.height / 2, cfg.z);
+    machine.centerBase.castShadow = true;
+    scene.add(machine.centerBase);
+
+    // Rotating pivot
+    machine.centerPivot = new THREE.Group();
+    machine.centerPivot.position.set(cfg.x, cfg.height, cfg.z);
+    scene.add(machine.centerPivot);
+
+    // Robot arm
+    const armGeo = new THREE.BoxGeometry(cfg.armWidth, cfg.armHeight, cfg.armLength);
+    const armMat = new THREE.MeshStandardMaterial({
+      color: cfg.armColor,
+      metalness: 0.6,
+      roughness: 0.3
+    });
+    machine.robotArm = new THREE.Mesh(armGeo, armMat);
+    machine.robotArm.position.set(0, 0.2, -cfg.armLength / 2);
+    machine.robotArm.castShadow = true;
+    machine.centerPivot.add(machine.robotArm);
+
+    // Gripper base
+    const gripperGeo = new THREE.BoxGeometry(0.8, 0.2, 0.5);
+    const gripperMat = new THREE.MeshStandardMaterial({ color: '#888888', metalness: 0.7, roughness: 0.3 });
+    machine.gripper = new THREE.Mesh(gripperGeo, gripperMat);
+    machine.gripper.position.set(0, 0.2, -cfg.armLength + 0.25);
+    machine.gripper.castShadow = true;
+    machine.centerPivot.add(machine.gripper);
+
+    // Gripper jaws
+    const jawGeo = new THREE.BoxGeometry(0.15, 0.15, 0.3);
+    const jawMat = new THREE.MeshStandardMaterial({ color: '#666666', metalness: 0.8, roughness: 0.2 });
+    const jaw1 = new THREE.Mesh(jawGeo, jawMat);
+    jaw1.position.set(-0.25, 0, -cfg.armLength + 0.4);
+    jaw1.castShadow = true;
+    machine.centerPivot.add(jaw1);
+
+    const jaw2 = new THREE.Mesh(jawGeo, jawMat);
+    jaw2.position.set(0.25, 0, -cfg.armLength + 0.4);
+    jaw2.castShadow = true;
+    machine.centerPivot.add(jaw2);
+
+    machine.gripperJaws = [jaw1, jaw2];
+  }
+
+  function buildWrapper(side) {
+    const cfg = MACHINE_CONFIG[side + 'Machine'];
+
+    // Machine body
+    const bodyGeo = new THREE.BoxGeometry(cfg.bodyWidth, cfg.bodyHeight, cfg.bodyDepth);
+    const bodyMat = new THREE.MeshStandardMaterial({
+      color: cfg.bodyColor,
+      metalness: 0.6,
+      roughness: 0.4,
+      transparent: true,
+      opacity: 0.8
+    });
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.position.set(cfg.x, cfg.bodyHeight / 2, cfg.z);
+    body.castShadow = true;
+    scene.add(body);
+    machine[side + 'MachineBody'] = body;
+
+    // Labeling disk on top
+    const diskGeo = new THREE.CylinderGeometry(cfg.diskRadius, cfg.diskRadius, cfg.diskHeight, 32);
+    const diskMat = new THREE.MeshStandardMaterial({
+      color: cfg.diskColor,
+      metalness: 0.7,
+      roughness: 0.3
+    });
+    const disk = new THREE.Mesh(diskGeo, diskMat);
+    disk.position.set(cfg.x, cfg.bodyHeight + cfg.diskHeight / 2, cfg.z);
+    disk.castShadow = true;
+    scene.add(disk);
+    machine[side + 'MachineDisk'] = disk;
+  }
+
+  function buildTray(side) {
+    machine[side + 'Tray'] = createTray(MACHINE_CONFIG[side + 'Tray']);
+    scene.add(machine[side + 'Tray']);
+  }
+
+  function spawnRawBundles() {
+    const cfg = MACHINE_CONFIG.feedQueue;
+    for (let i = 0; i < cfg.initial; i++) {
+      enqueueRawBundle();
+    }
+  }
+
+  // ===== FEED QUEUE =====
+  // The TOP station holds a finite queue of raw bundles. The arm always takes
+  // the head of the queue; deliveries arrive every `replenishInterval` seconds
+  // while there is room. With an empty queue the cell is starved: the cycle
+  // clock holds at the start of the next cycle until a bundle arrives.
+  function enqueueRawBundle() {
+    const cfg = MACHINE_CONFIG.feedQueue;
+    if (machine.rawBundles.length >= cfg.capacity) return false;
+    const bundle = createRawBundle(MACHINE_CONFIG.rawBundle);
+    scene.add(bundle);
+    machine.rawBundles.push(bundle);
+    engine.events.spawn(bundle);
+    layoutFeedQueue();
+    return true;
+  }
+
+  function dequeueRawBundle() {
+    const bundle = machine.rawBundles.shift() || null;
+    layoutFeedQueue();
+    return bundle;
+  }
+
+  // Queued bundles sit in slot order; slots beyond the layout stack in the last one
+  function layoutFeedQueue() {
+    const topCfg = MACHINE_CONFIG.topStation;
+    const slots = MACHINE_CONFIG.feedQueue.slots;
+    machine.rawBundles.forEach((bundle, i) => {
+      const slot = slots[Math.min(i, slots.length - 1)];
+      bundle.position.set(topCfg.x + slot.x, topCfg.platformHeight + 0.4, topCfg.z + slot.z);
+    });
+    feedQueueDisplay.textContent = machine.rawBundles.length;
+  }
+
+  function updateFeedQueue(dt) {
+    const cfg = MACHINE_CONFIG.feedQueue;
+    if (machine.rawBundles.length >= cfg.capacity) {
+      // Upstream is blocked while the buffer is full
+      machine.feedTimer = 0;
+      return;
+    }
+    machine.feedTimer += dt;
+    while (machine.feedTimer >= cfg.replenishInterval && enqueueRawBundle()) {
+      machine.feedTimer -= cfg.replenishInterval;
+    }
+  }
+
+  // Clamp the cycle clock so a new cycle never starts without a queued bundle
+  function limitCycleTimeByFeed(previousTime, nextTime) {
+    const nextCycleStart = Math.ceil(previousTime / CYCLE_DURATION) * CYCLE_DURATION;
+    const startsCycle = nextCycleStart < nextTime;
+    setStarved(startsCycle && machine.rawBundles.length === 0 && !machine.currentBundle);
+    return machine.isStarved ? nextCycleStart : nextTime;
+  }
+
+  function setStarved(starved) {
+    if (machine.isStarved === starved) return;
+    machine.isStarved = starved;
+    const topCfg = MACHINE_CONFIG.topStation;
+    machine.topPlatform.material.color.set(starved ? topCfg.starvedColor : topCfg.color);
+    feedQueueDisplay.parentElement.classList.toggle('highlight', starved);
+  }
+
+  // ===== TRAY CHANGE-OVER =====
+  // See ../shared/parts.js. The cycle clock holds while the arm's current
+  // side is changing trays.
+  const trays = createTrayChangeover(MACHINE_CONFIG.trayChangeover, {
+    scene,
+    trayConfig: side => MACHINE_CONFIG[side + 'Tray'],
+    tray: side => machine[side + 'Tray'],
+    onFull: record => engine.events.emit('tray_full', { side: record.side, tray: record.tray, bundles: record.bundles, cycle: record.cycle + 1 })
+  });
+
+  function startTrayChange(side, cycle) {
+    trays.start(side, machine[side + 'Bundles'], cycle, cycleTime);
+    machine[side + 'Bundles'] = [];
+  }
+
+  function isTrayChangeBlocking() {
+    return trays.isChanging(getTargetStation(Math.floor(cycleTime / CYCLE_DURATION)));
+  }
+
+  // The tray log follows the production events (../shared/events.js)
+  engine.events.subscribe('tray_full', event => {
+    const entry = document.createElement('div');
+    entry.className = event.side;
+    entry.textContent = `${event.side.toUpperCase()} #${event.tray}: ${event.bundles} bundles @ ${event.time.toFixed(1)}s`;
+    trayLog.prepend(entry);
+    traysCompletedDisplay.textContent = engine.events.count('tray_full');
+  });
+
+  function trayNumber(side) {
+    return trays.completed.filter(t => t.side === side).length + 1;
+  }
+
+  function resetTrays() {
+    trays.reset();
+    machine.trayStopTime = 0;
+    trayLog.innerHTML = '';
+    traysCompletedDisplay.textContent = '0';
+    trayStopTimeDisplay.textContent = '0.0s';
+  }
+
+  // ===== ALARMS =====
+  // Faults are raised at the program's `fault` events by the controller in
+  // ../shared/faults.js. An alarm highlights the affected wrapper and holds
+  // the cycle until it is cleared.
+  function raiseAlarm(alarm) {
+    if (alarm.type === 'droppedBundle') {
+      // The bundle falls out of the gripper and is scrapped on recovery
+      const bundle = machine.currentBundle;
+      engine.events.emit('scrapped', { bundle: bundle.userData.bundleId, side: alarm.side, reason: 'dropped' });
+      scene.attach(bundle);
+      bundle.position.y = 0.35;
+      bundle.rotation.set(Math.PI / 2, 0, 0);
+      alarm.bundle = bundle;
+      machine.currentBundle = null;
+      machine.currentBundleIsWrapped = false;
+    }
+    updateAlarmVisuals();
+  }
+
+  function clearAlarm(alarm) {
+    if (alarm.bundle) {
+      scene.remove(alarm.bundle);
+      alarm.bundle = null;
+    }
+    updateAlarmVisuals();
+  }
+
+  function updateAlarmVisuals() {
+    ['left', 'right'].forEach(side => {
+      const wrapperDown = faults.active.some(a => a.side === side && (a.type === 'wrapperJam' || a.type === 'emptyTape'));
+      const color = wrapperDown ? MACHINE_CONFIG.faults.alarmColor : MACHINE_CONFIG[side + 'Machine'].bodyColor;
+      machine[side + 'MachineBody'].material.color.set(color);
+    });
+  }
+
+  // ===== ARM TARGETS & REACH =====
+  // The arm yaw for each station is derived from the layout: the program
+  // names these targets (`$targets.leftTray`) instead of fixed angles. The
+  // single arm is rigid, so it serves a station when the circle its grip
+  // sweeps crosses the station's footprint.
+  const ARM_STATIONS = {
+    topStation: { label: 'TOP station', halfSize: cfg => Math.min(cfg.platformWidth, cfg.platformDepth) / 2 },
+    leftMachine: { label: 'LEFT wrapper', halfSize: cfg => Math.min(cfg.bodyWidth, cfg.bodyDepth) / 2 },
+    rightMachine: { label: 'RIGHT wrapper', halfSize: cfg => Math.min(cfg.bodyWidth, cfg.bodyDepth) / 2 },
+    leftTray: { label: 'LEFT tray', halfSize: cfg => Math.min(cfg.width, cfg.depth) / 2 },
+    rightTray: { label: 'RIGHT tray', halfSize: cfg => Math.min(cfg.width, cfg.depth) / 2 }
+  };
+
+  // Distance from the arm base to the grip (gripper centre)
+  function gripRadius() {
+    return MACHINE_CONFIG.centerBase.armLength - 0.25;
+  }
+
+  // Yaw in degrees that points the arm at a station (0 = towards -Z)
+  function yawTowards(name) {
+    const base = MACHINE_CONFIG.centerBase;
+    const cfg = MACHINE_CONFIG[name];
+    return THREE.MathUtils.radToDeg(Math.atan2(-(cfg.x - base.x), -(cfg.z - base.z)));
+  }
+
+  const ARM_TARGETS = {
+    get topStation() { return yawTowards('topStation'); },
+    get leftMachine() { return yawTowards('leftMachine'); },
+    get rightMachine() { return yawTowards('rightMachine'); },
+    get leftTray() { return yawTowards('leftTray'); },
+    get rightTray() { return yawTowards('rightTray'); }
+  };
+
+  // Stations the grip cannot reach with the current layout
+  function layoutReachProblems() {
+    const base = MACHINE_CONFIG.centerBase;
+    const reach = gripRadius();
+    return Object.entries(ARM_STATIONS).map(([name, station]) => {
+      const cfg = MACHINE_CONFIG[name];
+      const distance = Math.hypot(cfg.x - base.x, cfg.z - base.z);
+      const halfSize = station.halfSize(cfg);
+      if (Math.abs(distance - reach) <= halfSize) return null;
+      return `${station.label} is ${distance.toFixed(2)} from the arm base, the grip reaches ${reach.toFixed(2)} (±${halfSize.toFixed(2)})`;
+    }).filter(Boolean);
+  }
+
+  // ===== CONFIGURATION =====
+  // The engine rebuilds the scene and replays; keep the feed slider in step
+  function configChanged() {
+    feedRateSlider.value = MACHINE_CONFIG.feedQueue.replenishInterval;
+    feedRateValue.textContent = MACHINE_CONFIG.feedQueue.replenishInterval.toFixed(1) + 's';
+  }
+
+  // ===== EVENT LISTENERS =====
+  // A choice made after seeking back replaces the ones made later before
+  stationSelect.addEventListener('change', (e) => {
+    const time = engine.scrubber.time;
+    stationChanges = stationChanges.filter(change => change.time < time).concat({ time, station: e.target.value });
+  });
+
+  // The feed rate is a setting: letting go of the slider applies it like an
+  // edit in the config panel, which checks, records and replays it
+  feedRateSlider.addEventListener('input', (e) => {
+    feedRateValue.textContent = parseFloat(e.target.value).toFixed(1) + 's';
+  });
+
+  feedRateSlider.addEventListener('change', (e) => {
+    const interval = parseFloat(e.target.value);
+    const name = 'feedQueue.replenishInterval';
+    if (checkValue(name, interval, engine.defaults.feedQueue.replenishInterval).length) {
+      configChanged();
+      return;
+    }
+    MACHINE_CONFIG.feedQueue.replenishInterval = interval;
+    engine.configPanel.refresh();
+    engine.applyConfig(['feedQueue']);
+  });
+
+  // ===== SIMULATION =====
+  // Everything that changes with simulated time, advanced in fixed steps by
+  // the scrubber so any moment can be rebuilt by resetting and replaying.
+  function stepSimulation(dt) {
+    const previousTime = cycleTime;
+    selectedStation = stationAt(engine.scrubber.time);
+    faults.update(dt);
+    updateFeedQueue(dt);
+    trays.update(dt);
+    const alarmed = faults.isStopped(); // the single arm waits out any alarm
+    const trayStopped = isTrayChangeBlocking();
+    if (trayStopped && !alarmed) {
+      machine.trayStopTime += dt;
+      trayStopTimeDisplay.textContent = machine.trayStopTime.toFixed(1) + 's';
+    }
+    if (!alarmed && !trayStopped) {
+      cycleTime = limitCycleTimeByFeed(previousTime, cycleTime + dt);
+    }
+    if (machine.isStarved) {
+      machine.starvedTime += dt;
+      starvedTimeDisplay.textContent = machine.starvedTime.toFixed(1) + 's';
+    }
+
+    // Loop the cycle
+    const loopTime = cycleTime % CYCLE_DURATION;
+
+    // Update timer
+    cycleTimer.textContent = loopTime.toFixed(1) + 's';
+
+    // Fire due events and drive channels from the program
+    const state = engine.timeline.advance(previousTime, cycleTime);
+    if (faults.isStopped()) {
+      cycleText.textContent = '🚨 ALARM: ' + faults.active.map(a => `${a.side.toUpperCase()} ${a.label}`).join(' | ');
+    } else if (machine.isStarved) {
+      cycleText.textContent = '⛔ STARVED: feed queue empty, waiting for bundles';
+    } else if (trayStopped) {
+      cycleText.textContent = `🧺 TRAY FULL: changing ${getTargetStation(state.cycle).toUpperCase()} tray`;
+    } else if (state) {
+      cycleText.textContent = state.phase.label;
+      currentStationDisplay.textContent = getTargetStation(state.cycle).toUpperCase();
+    }
+    return state;
+  }
+
+  function resetSimulation() {
+    cycleTime = 0;
+    selectedStation = stationAt(0);
+
+    // Remove all wrapped bundles
+    machine.leftBundles.forEach(b => scene.remove(b));
+    machine.rightBundles.forEach(b => scene.remove(b));
+    machine.leftBundles = [];
+    machine.rightBundles = [];
+    resetTrays();
+
+    // Remove current bundle if exists
+    if (machine.currentBundle) {
+      machine.currentBundle.parent.remove(machine.currentBundle); // may be in the gripper
+      machine.currentBundle = null;
+    }
+    machine.currentBundleIsWrapped = false;
+
+    // Refill the feed queue
+    machine.rawBundles.forEach(b => scene.remove(b));
+    machine.rawBundles = [];
+    machine.feedTimer = 0;
+    machine.starvedTime = 0;
+    starvedTimeDisplay.textContent = '0.0s';
+    setStarved(false);
+    spawnRawBundles();
+
+    engine.timeline.applyChannels(0);
+    cycleText.textContent = PHASES[0].label;
+    cycleTimer.textContent = '0.0s';
+  }
+
+  // ===== DETERMINE TARGET STATION =====
+  function stationAt(time) {
+    let station = stationChanges[0].station;
+    stationChanges.forEach(change => {
+      if (change.time <= time) station = change.station;
+    });
+    return station;
+  }
+
+  // A new session starts from the station chosen now
+  function clearStationHistory() {
+    stationChanges = [{ time: 0, station: stationSelect.value }];
+  }
+
+  function getTargetStation(cycleNum) {
+    if (selectedStation === 'left') return 'left';
+    if (selectedStation === 'right') return 'right';
+    // Alternate between left and right
+    return (cycleNum % 2 === 0) ? 'left' : 'right';
+  }
+
+  // ===== TIMELINE RIG =====
+  // Maps the channel and event names used in program.js onto the scene
+  function buildRig() {
+    const topCfg = MACHINE_CONFIG.topStation;
+
+    return {
+      config: Object.assign({}, MACHINE_CONFIG, { targets: ARM_TARGETS }),
+      context: cycle => ({ side: getTargetStation(cycle) }),
+
+      channels: {
+        'arm.yaw': deg => {
+          machine.centerPivot.rotation.y = THREE.MathUtils.degToRad(deg);
+        },
+        'jaw.open': dist => {
+          machine.gripperJaws[0].position.x = -dist;
+          machine.gripperJaws[1].position.x = dist;
+        },
+        'disk.spin': (deg, ctx) => {
+          machine[ctx.side + 'MachineDisk'].rotation.y = THREE.MathUtils.degToRad(deg);
+        },
+        // Bundle turning in the wrapper
+        'bundle.spin': deg => {
+          if (machine.currentBundle && machine.currentBundle.parent === scene) {
+            machine.currentBundle.rotation.y = THREE.MathUtils.degToRad(deg);
+          }
+        },
+        // Tape wound on the raw bundle so far
+        'tape.progress': share => {
+          if (machine.currentBundle && !machine.currentBundleIsWrapped) {
+            windTape(machine.currentBundle, MACHINE_CONFIG.wrappedBundle, share);
+          }
+        }
+      },
+
+      events: {
+        // Head of the feed queue moves to the pick point at the TOP station
+        spawn: () => {
+          if (machine.currentBundle) return;
+          const bundle = dequeueRawBundle();
+          if (!bundle) return;
+          machine.currentBundle = bundle;
+          machine.currentBundle.position.set(topCfg.x, topCfg.platformHeight + 0.4, topCfg.z);
+          machine.currentBundleIsWrapped = false;
+        },
+
+        // Gripper takes the current bundle
+        attach: (event, ctx) => {
+          if (!machine.currentBundle) return;
+          engine.events.emit('picked', {
+            bundle: machine.currentBundle.userData.bundleId,
+            side: ctx.side,
+            station: machine.currentBundleIsWrapped ? 'wrapper' : 'top'
+          });
+          machine.centerPivot.attach(machine.currentBundle);
+          machine.currentBundle.position.set(0, 0.2, -gripRadius());
+        },
+
+        // Gripper lets go of the bundle inside a station
+        release: (event, ctx) => {
+          if (!machine.currentBundle || machine.currentBundle.parent === scene) return;
+          const stationCfg = MACHINE_CONFIG[event.station[ctx.side]];
+          scene.attach(machine.currentBundle);
+          machine.currentBundle.position.set(stationCfg.x, event.y, stationCfg.z);
+          engine.events.emit('inserted', { bundle: machine.currentBundle.userData.bundleId, side: ctx.side, station: 'wrapper' });
+        },
+
+        // Raw bundle comes out of the wrapper as a wrapped bundle
+        swap: (event, ctx) => {
+          if (!machine.currentBundle || machine.currentBundleIsWrapped) return;
+          const raw = machine.currentBundle;
+          scene.remove(raw);
+          machine.currentBundle = createWrappedBundle(MACHINE_CONFIG.wrappedBundle);
+          machine.currentBundle.position.copy(raw.position);
+          machine.currentBundle.rotation.copy(raw.rotation);
+          machine.currentBundle.userData.bundleId = raw.userData.bundleId;
+          scene.add(machine.currentBundle);
+          machine.currentBundleIsWrapped = true;
+          engine.events.emit('wrapped', {
+            bundle: raw.userData.bundleId,
+            side: ctx.side,
+            tape: machine.currentBundle.userData.tape.userData.length
+          });
+        },
+
+        // Drop the bundle into the next free tray slot; the last slot fills the tray
+        place: (event, ctx) => {
+          if (!machine.currentBundle) return;
+          const trayCfg = MACHINE_CONFIG[ctx.side + 'Tray'];
+          const trayBundles = machine[ctx.side + 'Bundles'];
+          scene.attach(machine.currentBundle);
+          machine.currentBundle.position.copy(traySlotPosition(trayCfg, trayBundles.length, MACHINE_CONFIG.wrappedBundle.height / 2));
+
+          trayBundles.push(machine.currentBundle);
+          engine.events.emit('placed', {
+            bundle: machine.currentBundle.userData.bundleId,
+            side: ctx.side,
+            tray: trayNumber(ctx.side),
+            slot: trayBundles.length
+          });
+          machine.currentBundle = null;
+          machine.currentBundleIsWrapped = false;
+
+          if (trayBundles.length >= trayCapacity(trayCfg)) startTrayChange(ctx.side, ctx.cycle);
+        },
+
+        // Fault point: the controller decides whether the fault happens
+        fault: (event, ctx) => {
+          if (event.fault === 'droppedBundle' && !machine.currentBundle) return;
+          faults.trigger(event.fault, ctx.side, ctx.cycle);
+        }
+      }
+    };
+  }
+
+  return {
+    sections: SCENE_SECTIONS,
+    rig: buildRig(),
+    reset: resetSimulation,
+    step: stepSimulation,
+    raiseAlarm,
+    clearAlarm,
+    layout: { items: Object.keys(ARM_STATIONS), problems: layoutReachProblems },
+    configChanged,
+    clearHistory: clearStationHistory
+  };
+}
@@ -0,0 +1,111 @@
+// ===== PER-SIDE CLOCK TESTS =====
+// Runs the twoHand program headless on per-side clocks (see
+// createSideClocks() in ../shared/timeline.js) with the real fault
+// controller, and checks that an alarm holds only the arm it is raised on
+// and that OEE (../shared/oee.js) charges the stop to that arm alone.
+//   node --test tools/
+// Loaded like tools/throughput.js: the browser scripts are plain globals,
+// evaluated together in a sandbox.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const STEP = 1 / 60;
+
+function loadScripts(files) {
+  const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+  return vm.runInNewContext(source + '\n;({ PROCESS_PROGRAMS, createTimeline, createSideClocks, createFaultController, createOeeTracker })', {}, { filename: files[files.length - 1] });
+}
+
+// The twoHand cell reduced to what decides when bundles are placed: the
+// per-side clocks, the program's fault points and its place events
+function createCell(scheduled) {
+  const { PROCESS_PROGRAMS, createTimeline, createSideClocks, createFaultController, createOeeTracker } = loadScripts([
+    'shared/timeline.js',
+    'shared/faults.js',
+    'shared/oee.js',
+    'twoHand/program.js'
+  ]);
+  const clocks = createSideClocks(['left', 'right']);
+  const faults = createFaultController({ inject: false, autoRecover: false, scheduled }, { roll: () => 1 }); // scheduled faults only
+  const placed = { left: 0, right: 0 };
+  const produced = [];
+  const oee = createOeeTracker(PROCESS_PROGRAMS.twoHand, { events: produced });
+  const ignore = () => {};
+  const timeline = createTimeline(PROCESS_PROGRAMS.twoHand, {
+    // Every arm target at the origin; only the timing matters here
+    config: { targets: new Proxy({}, { get: () => ({ x: 0, z: 0 }) }) },
+    context: () => ({ side: clocks.side }),
+    channels: new Proxy({}, { get: () => ignore }),
+    events: new Proxy({}, {
+      get: (target, type) => {
+        if (type === 'place') {
+          return (event, ctx) => {
+            placed[ctx.side]++;
+            produced.push({ type: 'placed', side: ctx.side });
+          };
+        }
+        if (type === 'fault') return (event, ctx) => faults.trigger(event.fault, ctx.side, ctx.cycle);
+        return ignore;
+      }
+    })
+  });
+
+  return {
+    clocks,
+    faults,
+    placed,
+    oee,
+    run(seconds) {
+      for (let i = 0; i < Math.round(seconds / STEP); i++) {
+        faults.update(STEP);
+        const states = clocks.advance(timeline, STEP, side => faults.isStopped(side));
+        oee.update(STEP, clocks.cellState(states), faults.isStopped());
+      }
+    }
+  };
+}
+
+test('both arms place a bundle every cycle without alarms', () => {
+  const cell = createCell([]);
+  cell.run(60);
+  assert.deepStrictEqual(cell.placed, { left: 5, right: 5 });
+});
+
+test('a left alarm leaves the right arm placing bundles', () => {
+  const cell = createCell([{ type: 'wrapperJam', cycle: 0, side: 'left' }]);
+  cell.run(60);
+  assert.ok(cell.faults.isStopped('left'));
+  assert.ok(!cell.faults.isStopped('right'));
+  assert.strictEqual(cell.placed.left, 0);
+  assert.strictEqual(cell.placed.right, 5);
+  assert.ok(cell.clocks.time('left') < 7.5, 'left clock held at the jam');
+  assert.ok(Math.abs(cell.clocks.time('right') - 60) < 1e-6, 'right clock ran the whole time');
+});
+
+test('the held arm picks up where it stopped once the alarm is cleared', () => {
+  const cell = createCell([{ type: 'wrapperJam', cycle: 0, side: 'left' }]);
+  cell.run(30);
+  const heldAt = cell.clocks.time('left');
+  cell.faults.acknowledge();
+  cell.run(12);
+  assert.ok(Math.abs(cell.clocks.time('left') - heldAt - 12) < 1e-6);
+  assert.strictEqual(cell.placed.left, 1);
+  assert.strictEqual(cell.placed.right, 3);
+});
+
+test('OEE charges an alarm to the held arm only', () => {
+  const cell = createCell([{ type: 'wrapperJam', cycle: 0, side: 'left' }]);
+  cell.run(60);
+  const left = cell.oee.metrics('left');
+  const right = cell.oee.metrics('right');
+  assert.ok(left.availability < 0.15, `left availability ${left.availability}`);
+  assert.ok(Math.abs(right.availability - 1) < 1e-6, `right availability ${right.availability}`);
+  // Five bundles in 60 s of running is the right arm's ideal rate
+  assert.ok(Math.abs(right.performance - 1) < 1e-6, `right performance ${right.performance}`);
+  assert.ok(Math.abs(cell.oee.running - (cell.clocks.time('left') + 60) / 2) < 1e-6, 'cell runs on the mean clock');
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// ===== THROUGHPUT COMPARATOR =====
+// Headless comparison of the cell layouts, straight from their programs.
+//   node tools/throughput.js [--hours 8] [--json] [layout ...]
+// The browser scripts are plain globals, so each layout's program is
+// evaluated in its own sandbox together with the shared timeline and
+// throughput model. upgradedProcess cycles follow its default product
+// schedule (SKU wrap and paper times, changeovers), and its checkweigh
+// rejects, weighed as the app weighs them at the default seed, are counted
+// apart from the bundles.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const LAYOUTS = ['singleHand', 'twoHand', 'shakingProcess', 'upgradedProcess'];
+const RESOURCES = ['arm', 'wrapper', 'press', 'paper'];
+function loadScripts(files, exports) {
+  const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+  return vm.runInNewContext(`${source}\n;({ ${exports.join(', ')} })`, {}, { filename: files[files.length - 1] });
+}
+
+// Product schedule and checkweigh of the upgradedProcess defaults; weight
+// rolls are keyed as the variant keys them, bundle number = cycle
+function upgradedProcessOptions(hours) {
+  const scope = loadScripts([
+    'shared/random.js',
+    'shared/timeline.js',
+    'shared/parts.js',
+    'shared/engine.js',
+    'upgradedProcess/program.js',
+    'upgradedProcess/production.js',
+    'upgradedProcess/variant.js'
+  ], ['PROCESS_VARIANTS', 'DEFAULT_SEED', 'randomRoll', 'scheduledSku', 'cyclePhaseDurations', 'bundleWeightOf', 'checkweighGrade']);
+  const { skus, schedule, bundleWeight, quality } = scope.PROCESS_VARIANTS.upgradedProcess.config;
+
+  const rejected = (side, cycle) => {
+    const sku = scope.scheduledSku(skus, schedule, side, cycle);
+    const roll = what => scope.randomRoll(`${scope.DEFAULT_SEED}:weight:${what}:${side}:${cycle}`);
+    return scope.checkweighGrade(quality, scope.bundleWeightOf(bundleWeight, sku, roll).weight) === 'reject';
+  };
+  return {
+    hours,
+    phaseDurations: cycle => scope.cyclePhaseDurations(skus, schedule, cycle),
+    rejects: cycle => ['left', 'right'].filter(side => rejected(side, cycle)).length
+  };
+}
+
+const LAYOUT_OPTIONS = { upgradedProcess: upgradedProcessOptions };
+
+function measureLayout(layout, hours) {
+  const { PROCESS_PROGRAMS, measureThroughput } = loadScripts([
+    'shared/timeline.js',
+    'shared/throughput.js',
+    `${layout}/program.js`
+  ], ['PROCESS_PROGRAMS', 'measureThroughput']);
+  const options = LAYOUT_OPTIONS[layout] ? LAYOUT_OPTIONS[layout](hours) : { hours };
+  return measureThroughput(PROCESS_PROGRAMS[layout], options);
+}
+
+function parseArgs(argv) {
+  const args = { hours: 1, json: false, layouts: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--hours') args.hours = parseFloat(argv[++i]);
+    else if (argv[i] === '--json') args.json = true;
+    else args.layouts.push(argv[i]);
+  }
+  if (!(args.hours > 0)) throw new Error('--hours must be a positive number');
+  args.layouts.forEach(layout => {
+    if (!LAYOUTS.includes(layout)) throw new Error(`Unknown layout "${layout}" (expected ${LAYOUTS.join(', ')})`);
+  });
+  if (args.layouts.length === 0) args.layouts = LAYOUTS;
+  return args;
+}
+
+function printTable(results) {
+  const percent = value => (value * 100).toFixed(1) + '%';
+  const header = ['layout', 'cycle', 'bundles/h', 'rejects/h'];
+  RESOURCES.forEach(resource => header.push(`${resource} util`, `${resource} idle`));
+
+  const rows = results.map(result => {
+    const row = [result.name, result.cycleDuration.toFixed(1) + 's', result.bundlesPerHour.toFixed(1), result.rejectsPerHour.toFixed(1)];
+    RESOURCES.forEach(resource => {
+      const stats = result.resources[resource];
+      row.push(stats ? `${percent(stats.utilization)} ×${stats.units}` : '—', stats ? stats.idleMinutesPerUnitPerHour.toFixed(1) : '—');
+    });
+    return row;
+  });
+
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const line = cells => cells.map((cell, col) => col === 0 ? cell.padEnd(widths[col]) : cell.padStart(widths[col])).join('  ');
+  console.log(line(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(line(row)));
+  console.log('\ncycle = mean cycle time, bundles/h = good bundles only, rejects/h = bundles the checkweigh rejects.');
+  console.log('util = share of unit time busy (×units in the cell), idle = minutes idle per unit per hour.');
+  console.log('Ideal phase model: no starvation, tray change-overs or faults.');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const results = args.layouts.map(layout => measureLayout(layout, args.hours));
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(`Simulated ${args.hours} h per layout\n`);
+    printTable(results);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,110 @@
+// ===== DUAL-ARM PROCESS PROGRAM =====
+// Data-only motion sequence, interpreted by ../shared/timeline.js.
+// Arms are driven by goal points for their grip (`<arm>.goalX/goalZ`),
+// solved into shoulder/elbow angles by inverse kinematics. Goals name the
+// targets in variant.js (`$targets.leftPick`, `...Wrapper`, `...TraySlot`) so
+// stations and trays can move without re-tuning angles. Jaw values are the
+// half-opening of each gripper, glow values are opacities.
+// Events without a `side` apply to both arms; `fault` events are points
+// where a fault may occur (see ../shared/faults.js). `busy` lists the resource
+// units a phase occupies, for the headless model in ../shared/throughput.js.
+// `tape.progress` is the share of the tape helix wound on (see
+// ../shared/parts.js), full at the swap.
+
+defineProgram({
+  name: 'twoHand',
+  cycleDuration: 12.0,
+  easing: 'cubic',
+  resources: { arm: 2, wrapper: 2 },
+  output: { event: 'place', bundles: 2 },
+  phases: [
+    {
+      name: 'spawn', start: 0.0, end: 1.0, label: '📦 Bundles loaded at TOP station',
+      keys: {
+        'leftArm.goalX': '$targets.leftPick.x', 'leftArm.goalZ': '$targets.leftPick.z',
+        'rightArm.goalX': '$targets.rightPick.x', 'rightArm.goalZ': '$targets.rightPick.z',
+        'jaws.open': 0.35, 'armGlow.opacity': 0, 'machineGlow.opacity': 0
+      },
+      events: [{ at: 0, type: 'spawn' }]
+    },
+    {
+      name: 'simultaneous_pick', start: 1.0, end: 2.5, label: '🦾 Both arms picking from TOP', busy: { arm: 2 },
+      keys: {
+        'leftArm.goalX': '$targets.leftPick.x', 'leftArm.goalZ': '$targets.leftPick.z',
+        'rightArm.goalX': '$targets.rightPick.x', 'rightArm.goalZ': '$targets.rightPick.z',
+        'jaws.open': [0.35, 0.25], 'armGlow.opacity': [0, 0.4]
+      },
+      events: [{ at: 0.5, type: 'attach' }]
+    },
+    {
+      name: 'simultaneous_transport', start: 2.5, end: 4.5, label: '🔄 Transporting to wrapping stations', busy: { arm: 2 },
+      easing: ['cubic', 'quad'],
+      keys: {
+        'leftArm.goalX': ['$targets.leftPick.x', '$targets.leftWrapper.x'], 'leftArm.goalZ': ['$targets.leftPick.z', '$targets.leftWrapper.z'],
+        'rightArm.goalX': ['$targets.rightPick.x', '$targets.rightWrapper.x'], 'rightArm.goalZ': ['$targets.rightPick.z', '$targets.rightWrapper.z'],
+        'jaws.open': 0.25, 'armGlow.opacity': 0.4
+      },
+      events: [{ at: 0.5, type: 'fault', fault: 'droppedBundle' }]
+    },
+    {
+      name: 'insert_wrappers', start: 4.5, end: 5.0, label: '📥 Inserting into wrapping machines', busy: { arm: 2, wrapper: 2 },
+      keys: {
+        'leftArm.goalX': '$targets.leftWrapper.x', 'leftArm.goalZ': '$targets.leftWrapper.z',
+        'rightArm.goalX': '$targets.rightWrapper.x', 'rightArm.goalZ': '$targets.rightWrapper.z',
+        'jaws.open': [0.25, 0.4], 'armGlow.opacity': [0.4, 0]
+      },
+      events: [{ at: 0.5, type: 'release', y: 1.5 }]
+    },
+    {
+      name: 'wrapping_process', start: 5.0, end: 7.5, label: '🎁 WRAPPING IN PROGRESS (LEFT & RIGHT)...', busy: { wrapper: 2 },
+      keys: {
+        'disks.spin': { keys: [[0, 0], [1, 1290]], easing: 'linear' },
+        'bundles.spin': [0, 630],
+        'tape.progress': { keys: [[0, 0], [0.67, 1], [1, 1]], easing: 'linear' },
+        'machineGlow.opacity': { wave: 'sine', freq: 3, amp: 0.3, base: 0.5 }
+      },
+      events: [
+        { at: 0.2, type: 'fault', fault: 'emptyTape' },
+        { at: 0.5, type: 'fault', fault: 'wrapperJam' },
+        { at: 0.67, type: 'swap', into: 'wrapped' }
+      ]
+    },
+    {
+      name: 'exit_wrappers', start: 7.5, end: 8.0, label: '✅ Bundles wrapped successfully', busy: { arm: 2, wrapper: 2 },
+      keys: {
+        'leftArm.goalX': '$targets.leftWrapper.x', 'leftArm.goalZ': '$targets.leftWrapper.z',
+        'rightArm.goalX': '$targets.rightWrapper.x', 'rightArm.goalZ': '$targets.rightWrapper.z',
+        'jaws.open': [0.35, 0.25], 'machineGlow.opacity': [0.5, 0], 'armGlow.opacity': [0, 0.4]
+      },
+      events: [{ at: 0.5, type: 'attach' }]
+    },
+    {
+      name: 'simultaneous_to_trays', start: 8.0, end: 9.5, label: '🔄 Transporting to output trays', busy: { arm: 2 },
+      easing: ['cubic', 'quad'],
+      keys: {
+        'leftArm.goalX': ['$targets.leftWrapper.x', '$targets.leftTraySlot.x'], 'leftArm.goalZ': ['$targets.leftWrapper.z', '$targets.leftTraySlot.z'],
+        'rightArm.goalX': ['$targets.rightWrapper.x', '$targets.rightTraySlot.x'], 'rightArm.goalZ': ['$targets.rightWrapper.z', '$targets.rightTraySlot.z'],
+        'jaws.open': 0.25, 'armGlow.opacity': 0.4
+      }
+    },
+    {
+      name: 'place_in_trays', start: 9.5, end: 10.5, label: '📍 Placed in output trays', busy: { arm: 2 },
+      keys: {
+        'leftArm.goalX': '$targets.leftTraySlot.x', 'leftArm.goalZ': '$targets.leftTraySlot.z',
+        'rightArm.goalX': '$targets.rightTraySlot.x', 'rightArm.goalZ': '$targets.rightTraySlot.z',
+        'jaws.open': [0.25, 0.4], 'armGlow.opacity': [0.4, 0]
+      },
+      events: [{ at: 0.5, type: 'place' }]
+    },
+    {
+      // Return past the wrapper so the grip never sweeps across the shoulder
+      name: 'reset', start: 10.5, end: 12.0, label: '🔄 Ready for next batch', busy: { arm: 2 },
+      easing: ['cubic', 'quad'],
+      keys: {
+        'leftArm.goalX': ['$targets.leftTraySlot.x', '$targets.leftWrapper.x', '$targets.leftPick.x'], 'leftArm.goalZ': ['$targets.leftTraySlot.z', '$targets.leftWrapper.z', '$targets.leftPick.z'],
+        'rightArm.goalX': ['$targets.rightTraySlot.x', '$targets.rightWrapper.x', '$targets.rightPick.x'], 'rightArm.goalZ': ['$targets.rightTraySlot.z', '$targets.rightWrapper.z', '$targets.rightPick.z'],
+        'jaws.open': 0.35
+      }
+    }
+  ]
+});
@@ -0,0 +1,947 @@
+// ===== DUAL-ARM FILAMENT BUNDLING SYSTEM =====
+// Two-arm variant: TOP → LEFT & RIGHT ARMS → WRAPPING STATIONS → TRAYS
+// (runs on ../shared/engine.js)
+
+defineVariant({
+  name: 'twoHand',
+  title: 'Dual-Arm Filament Bundling System',
+  subtitle: 'Complete automation: TOP → DUAL ARMS → WRAPPING STATIONS → OUTPUT TRAYS',
+  program: PROCESS_PROGRAMS.twoHand,
+
+  // MACHINE CONFIGURATION
+  config: {
+    // TOP STATION - Placing Point
+    topStation: {
+      x: 0, y: 0, z: -7,
+      platformWidth: 3,
+      platformDepth: 2,
+      platformHeight: 0.3,
+      color: '#555555',
+      pickOffsets: { left: -0.5, right: 0.5 } // x offset of each arm's pick point
+    },
+
+    // CENTER - Robotic Arms Base
+    centerBase: {
+      x: 0, y: 0, z: 0,
+      radius: 1.5,
+      height: 0.6,
+      color: '#4444FF',
+      lightColor: '#00FF00',
+      alarmLightColor: '#FF2222'
+    },
+
+    // LEFT ARM (shoulder at the pivot, elbow between the segments)
+    leftArm: {
+      pivotX: -2.5, pivotY: 0.8, pivotZ: 0,
+      segment1Length: 4.0,
+      segment2Length: 3.6,
+      gripOffset: 0.05, // grip point beyond the end of segment 2
+      armWidth: 0.35,
+      armHeight: 0.3,
+      color: '#FF6B6B',
+      color2: '#FF8E72',
+      shoulderLimits: [-60, 180], // degrees, 0 = pointing at TOP
+      elbowLimits: [0, 160]
+    },
+
+    // RIGHT ARM
+    rightArm: {
+      pivotX: 2.5, pivotY: 0.8, pivotZ: 0,
+      segment1Length: 4.0,
+      segment2Length: 3.6,
+      gripOffset: 0.05,
+      armWidth: 0.35,
+      armHeight: 0.3,
+      color: '#4ECDC4',
+      color2: '#45B7AA',
+      shoulderLimits: [-180, 60],
+      elbowLimits: [-160, 0]
+    },
+
+    // LEFT WRAPPING MACHINE
+    leftMachine: {
+      x: -6, y: 0, z: 0,
+      bodyWidth: 2.5,
+      bodyHeight: 3,
+      bodyDepth: 2,
+      bodyColor: '#00AA00',
+      diskRadius: 1,
+      diskHeight: 0.3,
+      diskColor: '#FFA500'
+    },
+
+    // RIGHT WRAPPING MACHINE
+    rightMachine: {
+      x: 6, y: 0, z: 0,
+      bodyWidth: 2.5,
+      bodyHeight: 3,
+      bodyDepth: 2,
+      bodyColor: '#00AA00',
+      diskRadius: 1,
+      diskHeight: 0.3,
+      diskColor: '#FFA500'
+    },
+
+    // LEFT OUTPUT TRAY
+    leftTray: {
+      x: -6, y: 0.2, z: 4,
+      width: 3,
+      depth: 3,
+      height: 0.4,
+      color: '#8B4513',
+      rows: 2,
+      cols: 4,
+      pitch: 0.7 // distance between slot centres
+    },
+
+    // RIGHT OUTPUT TRAY
+    rightTray: {
+      x: 6, y: 0.2, z: 4,
+      width: 3,
+      depth: 3,
+      height: 0.4,
+      color: '#8B4513',
+      rows: 2,
+      cols: 4,
+      pitch: 0.7
+    },
+
+    // TRAY CHANGE-OVER (full tray slides out, an empty one slides in)
+    trayChangeover: {
+      duration: 5.0, // seconds the side is stopped
+      travel: 5,     // how far the tray slides away from the cell
+      fullColor: '#AA2222'
+    },
+
+    // FAULTS (see ../shared/faults.js); `scheduled` cycles count from 0,
+    // e.g. { type: 'wrapperJam', cycle: 2, side: 'left' }
+    faults: {
+      inject: false,      // random faults at the program's fault points
+      autoRecover: false, // clear alarms after their repair time
+      probability: { wrapperJam: 0.03, droppedBundle: 0.02, emptyTape: 0.02 },
+      scheduled: [],
+      alarmColor: '#FF5459'
+    },
+
+    // COLLISION CHECKS (see ../shared/collisions.js)
+    collisions: {
+      enabled: true,
+      haltOnCollision: false, // pause on the first contact that begins
+      margin: 0.02,           // boxes shrink by this so resting contact does not count
+      highlightColor: '#FF2222'
+    },
+
+    // RAW BUNDLE
+    rawBundle: {
+      radius: 0.35,
+      height: 0.8,
+      color: '#F5DEB3'
+    },
+
+    // WRAPPED BUNDLE (four bands of tape, one pass each)
+    wrappedBundle: {
+      radius: 0.35,
+      height: 0.8,
+      bodyColor: '#CD853F',
+      bandColor: '#FFFFFF',
+      bands: [-0.25, -0.08, 0.08, 0.25],
+      bandLength: 0.12,
+      tapeWidth: 0.06,
+      overlap: 0.5,
+      wraps: 1,
+      tapeThickness: 0.0015
+    }
+  },
+
+  panel: `
+    <div class="controls-bar">
+      <button id="toggleGlow" class="btn btn--secondary">✨ Glow: ON</button>
+      <span class="cycle-counter" style="color: #FF6B6B;">L: <span id="leftCount">0</span></span>
+      <span class="cycle-counter" style="color: #4ECDC4;">R: <span id="rightCount">0</span></span>
+      <span class="info-panel">🎯 Reach: <span id="reachStatus">OK</span></span>
+    </div>
+    <div class="panel">
+      <span class="info-panel">🧺 Trays completed: <span id="traysCompleted">0</span></span>
+      <span class="info-panel">🔁 Tray change stops: <span id="trayStopTime">0.0s</span></span>
+      <div id="trayLog" class="tray-log"></div>
+    </div>`,
+
+  create: createTwoHandCell
+});
+
+function createTwoHandCell(engine) {
+  const MACHINE_CONFIG = engine.config;
+  const scene = engine.scene;
+  const faults = engine.faults;
+
+  // ANIMATION TIMELINE (12.0 second cycle - dual arms)
+  // Phases, keyframes and events live in program.js (see ../shared/timeline.js)
+  const CYCLE_DURATION = engine.program.cycleDuration;
+  const PHASES = engine.program.phases;
+
+  // ===== STATE =====
+  // Each arm runs the program on its own clock, so one side can be held
+  // while the other keeps working (see ../shared/timeline.js)
+  const SIDES = ['left', 'right'];
+  const clocks = createSideClocks(SIDES);
+  let glowEnabled = true;
+
+  // ===== MACHINE COMPONENTS =====
+  const machine = {
+    // Stations
+    topPlatform: null,
+    rawBundles: [],
+    centerBase: null,
+    indicatorLight: null,
+
+    // LEFT ARM
+    leftArmPivot: null,
+    leftArmElbow: null,
+    leftArmSegment1: null,
+    leftArmSegment2: null,
+    leftGripper: null,
+    leftGripperJaws: [],
+    leftArmGlow: null,
+
+    // RIGHT ARM
+    rightArmPivot: null,
+    rightArmElbow: null,
+    rightArmSegment1: null,
+    rightArmSegment2: null,
+    rightGripper: null,
+    rightGripperJaws: [],
+    rightArmGlow: null,
+
+    // Machines
+    leftMachineBody: null,
+    leftMachineDisk: null,
+    leftMachineGlow: null,
+    rightMachineBody: null,
+    rightMachineDisk: null,
+    rightMachineGlow: null,
+
+    // Trays
+    leftTray: null,
+    rightTray: null,
+    leftBundles: [],
+    rightBundles: [],
+    trayStopTime: 0,
+
+    // Active bundles being processed (one per arm)
+    leftBundle: null,
+    rightBundle: null,
+    leftBundleWrapped: false,
+    rightBundleWrapped: false,
+
+    // IK state per arm: goal point, last joint solution, reach report
+    leftArmIK: { goal: { x: 0, z: 0 }, joints: { shoulder: 0, elbow: 0 }, reachable: true, reason: null, slot: 0 },
+    rightArmIK: { goal: { x: 0, z: 0 }, joints: { shoulder: 0, elbow: 0 }, reachable: true, reason: null, slot: 0 },
+
+    // Labels
+    labels: []
+  };
+
+  // UI Elements
+  const cycleText = document.getElementById('cycleText');
+  const cycleTimer = document.getElementById('cycleTimer');
+  const sideCounters = {
+    left: document.getElementById('leftCount'),
+    right: document.getElementById('rightCount')
+  };
+  const reachStatus = document.getElementById('reachStatus');
+  const traysCompletedDisplay = document.getElementById('traysCompleted');
+  const trayStopTimeDisplay = document.getElementById('trayStopTime');
+  const trayLog = document.getElementById('trayLog');
+  const toggleGlowBtn = document.getElementById('toggleGlow');
+
+  // ===== BUILD MACHINE COMPONENTS =====
+  // Scene sections and the MACHINE_CONFIG settings they draw; a config change
+  // rebuilds only the sections that use it
+  const SCENE_SECTIONS = {
+    topStation: { build: () => { buildTopStation(); spawnRawBundles(); }, uses: ['topStation', 'rawBundle'] },
+    centerRobot: { build: buildCenterRobot, uses: ['centerBase', 'leftArm', 'rightArm'] },
+    leftMachine: { build: () => buildWrapper('left'), uses: ['leftMachine'] },
+    rightMachine: { build: () => buildWrapper('right'), uses: ['rightMachine'] },
+    leftTray: { build: () => buildTray('left'), uses: ['leftTray'] },
+    rightTray: { build: () => buildTray('right'), uses: ['rightTray'] }
+  };
+
+  function buildTopStation() {
+    const cfg = MACHINE_CONFIG.topStation;
+    const platformGeo = new THREE.BoxGeometry(cfg.platformWidth, cfg.platformHeight, cfg.platformDepth);
+    const platformMat = new THREE.MeshStandardMaterial({
+      color: cfg.color,
+      metalness: 0.6,
+      roughness: 0.4
+    });
+    machine.topPlatform = new THREE.Mesh(platformGeo, platformMat);
+    machine.topPlatform.position.set(cfg.x, cfg.platformHeight / 2, cfg.z);
+    machine.topPlatform.receiveShadow = true;
+    machine.topPlatform.castShadow = true;
+    scene.add(machine.topPlatform);
+
+    createLabel('PLACING POINT', cfg.x, cfg.platformHeight + 0.8, cfg.z, '#FFD700', 0.28);
+  }
+
+  function createLabel(text, x, y, z, color, size) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 512;
+    canvas.height = 128;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.font = 'bold 48px Arial';
+    context.fillStyle = color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
+    const sprite = new THREE.Sprite(material);
+    sprite.position.set(x, y, z);
+    sprite.scale.set(size * 8, size * 2, 1);
+    scene.add(sprite);
+
+    machine.labels.push(sprite);
+  }
+
+  function buildCenterRobot() {
+    const baseCfg = MACHINE_CONFIG.centerBase;
+
+    // Center base platform
+    const baseGeo = new THREE.CylinderGeometry(baseCfg.radius, baseCfg.radius, baseCfg.height, 32);
+    const baseMat = new THREE.MeshStandardMaterial({
+      color: baseCfg.color,
+      metalness: 0.8,
+      roughness: 0.2
+    });
+    machine.centerBase = new THREE.Mesh(baseGeo, baseMat);
+    machine.centerBase.position.set(baseCfg.x, baseCfg.height / 2, baseCfg.z);
+    machine.centerBase.castShadow = true;
+    scene.add(machine.centerBase);
+
+    // Pulsing indicator light
+    const lightGeo = new THREE.SphereGeometry(0.2, 16, 16);
+    const lightMat = new THREE.MeshStandardMaterial({
+      color: baseCfg.lightColor,
+      emissive: baseCfg.lightColor,
+      emissiveIntensity: 1
+    });
+    machine.indicatorLight = new THREE.Mesh(lightGeo, lightMat);
+    machine.indicatorLight.position.set(0, baseCfg.height + 0.3, 0);
+    scene.add(machine.indicatorLight);
+
+    buildArm('left', '#FF6B6B');
+    buildArm('right', '#4ECDC4');
+
+    createLabel('CENTER CONTROL', 0, baseCfg.height + 0.8, 0, '#FFFFFF', 0.25);
+  }
+
+  function buildArm(side, labelColor) {
+    const cfg = MACHINE_CONFIG[side + 'Arm'];
+    const gripZ = -cfg.segment2Length;
+
+    // Pivot (shoulder joint)
+    const pivot = new THREE.Group();
+    pivot.position.set(cfg.pivotX, cfg.pivotY, cfg.pivotZ);
+    scene.add(pivot);
+    machine[side + 'ArmPivot'] = pivot;
+
+    // Segment 1 (base segment)
+    const seg1Geo = new THREE.BoxGeometry(cfg.armWidth, cfg.armHeight, cfg.segment1Length);
+    const seg1Mat = new THREE.MeshStandardMaterial({
+      color: cfg.color,
+      metalness: 0.6,
+      roughness: 0.3
+    });
+    const segment1 = new THREE.Mesh(seg1Geo, seg1Mat);
+    segment1.position.set(0, 0, -cfg.segment1Length / 2);
+    segment1.castShadow = true;
+    pivot.add(segment1);
+    machine[side + 'ArmSegment1'] = segment1;
+
+    // Elbow joint at the end of segment 1
+    const elbow = new THREE.Group();
+    elbow.position.set(0, 0, -cfg.segment1Length);
+    pivot.add(elbow);
+    machine[side + 'ArmElbow'] = elbow;
+
+    const elbowGeo = new THREE.CylinderGeometry(cfg.armWidth * 0.7, cfg.armWidth * 0.7, cfg.armHeight * 1.4, 16);
+    const elbowMat = new THREE.MeshStandardMaterial({ color: '#888888', metalness: 0.7, roughness: 0.3 });
+    const elbowJoint = new THREE.Mesh(elbowGeo, elbowMat);
+    elbowJoint.castShadow = true;
+    elbow.add(elbowJoint);
+
+    // Segment 2 (forearm)
+    const seg2Geo = new THREE.BoxGeometry(cfg.armWidth * 0.9, cfg.armHeight * 0.85, cfg.segment2Length);
+    const seg2Mat = new THREE.MeshStandardMaterial({
+      color: cfg.color2,
+      metalness: 0.6,
+      roughness: 0.3
+    });
+    const segment2 = new THREE.Mesh(seg2Geo, seg2Mat);
+    segment2.position.set(0, 0, -cfg.segment2Length / 2);
+    segment2.castShadow = true;
+    elbow.add(segment2);
+    machine[side + 'ArmSegment2'] = segment2;
+
+    // Gripper
+    const gripperGeo = new THREE.BoxGeometry(0.75, 0.2, 0.5);
+    const gripperMat = new THREE.MeshStandardMaterial({ color: '#888888', metalness: 0.7, roughness: 0.3 });
+    const gripper = new THREE.Mesh(gripperGeo, gripperMat);
+    gripper.position.set(0, 0, gripZ - 0.25);
+    gripper.castShadow = true;
+    elbow.add(gripper);
+    machine[side + 'Gripper'] = gripper;
+
+    // Gripper jaws
+    const jawGeo = new THREE.BoxGeometry(0.15, 0.15, 0.3);
+    const jawMat = new THREE.MeshStandardMaterial({ color: '#666666', metalness: 0.8, roughness: 0.2 });
+    const jaw1 = new THREE.Mesh(jawGeo, jawMat);
+    jaw1.position.set(-0.25, 0, gripZ - 0.4);
+    jaw1.castShadow = true;
+    elbow.add(jaw1);
+
+    const jaw2 = new THREE.Mesh(jawGeo, jawMat);
+    jaw2.position.set(0.25, 0, gripZ - 0.4);
+    jaw2.castShadow = true;
+    elbow.add(jaw2);
+
+    machine[side + 'GripperJaws'] = [jaw1, jaw2];
+
+    // Glow effect
+    const glowGeo = new THREE.SphereGeometry(0.3, 16, 16);
+    const glowMat = new THREE.MeshBasicMaterial({
+      color: cfg.color,
+      transparent: true,
+      opacity: 0
+    });
+    const glow = new THREE.Mesh(glowGeo, glowMat);
+    glow.position.copy(gripper.position);
+    glow.userData.ghost = true; // not a solid part for collision checks
+    elbow.add(glow);
+    machine[side + 'ArmGlow'] = glow;
+
+    createLabel(`${side.toUpperCase()} ARM`, cfg.pivotX, cfg.pivotY + 0.6, cfg.pivotZ - 1, labelColor, 0.22);
+  }
+
+  function buildWrapper(side) {
+    const cfg = MACHINE_CONFIG[side + 'Machine'];
+
+    // Machine body
+    const bodyGeo = new THREE.BoxGeometry(cfg.bodyWidth, cfg.bodyHeight, cfg.bodyDepth);
+    const bodyMat = new THREE.MeshStandardMaterial({
+      color: cfg.bodyColor,
+      metalness: 0.6,
+      roughness: 0.4,
+      transparent: true,
+      opacity: 0.85
+    });
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.position.set(cfg.x, cfg.bodyHeight / 2, cfg.z);
+    body.castShadow = true;
+    scene.add(body);
+    machine[side + 'MachineBody'] = body;
+
+    // Rotating disk on top
+    const diskGeo = new THREE.CylinderGeometry(cfg.diskRadius, cfg.diskRadius, cfg.diskHeight, 32);
+    const diskMat = new THREE.MeshStandardMaterial({
+      color: cfg.diskColor,
+      metalness: 0.7,
+      roughness: 0.3,
+      emissive: cfg.diskColor,
+      emissiveIntensity: 0.2
+    });
+    const disk = new THREE.Mesh(diskGeo, diskMat);
+    disk.position.set(cfg.x, cfg.bodyHeight + cfg.diskHeight / 2, cfg.z);
+    disk.castShadow = true;
+    scene.add(disk);
+    machine[side + 'MachineDisk'] = disk;
+
+    // Glow effect
+    const glowGeo = new THREE.SphereGeometry(1.2, 16, 16);
+    const glowMat = new THREE.MeshBasicMaterial({
+      color: '#FFD700',
+      transparent: true,
+      opacity: 0
+    });
+    const glow = new THREE.Mesh(glowGeo, glowMat);
+    glow.position.set(cfg.x, cfg.bodyHeight / 2, cfg.z);
+    scene.add(glow);
+    machine[side + 'MachineGlow'] = glow;
+
+    createLabel(`${side.toUpperCase()} WRAPPING STATION`, cfg.x, cfg.bodyHeight + 0.8, cfg.z, '#FFD700', 0.28);
+    createLabel('INPUT SLOT', cfg.x - 0.8, 1.5, cfg.z - 1.2, '#FF4444', 0.15);
+    createLabel('WRAPPING DISK', cfg.x, cfg.bodyHeight + 0.5, cfg.z, '#FFA500', 0.15);
+    createLabel('OUTPUT SLOT', cfg.x + 0.8, 1.5, cfg.z + 1.2, '#00FF00', 0.15);
+  }
+
+  function buildTray(side) {
+    const cfg = MACHINE_CONFIG[side + 'Tray'];
+    machine[side + 'Tray'] = createTray(cfg);
+    scene.add(machine[side + 'Tray']);
+
+    createLabel(`${side.toUpperCase()} OUTPUT TRAY`, cfg.x, cfg.y + 0.7, cfg.z, '#FFD700', 0.25);
+  }
+
+  function spawnRawBundles() {
+    const cfg = MACHINE_CONFIG.topStation;
+    machine.rawBundles = [];
+    const positions = [
+      { x: -0.6, z: -0.4 },
+      { x: 0.6, z: -0.4 },
+      { x: -0.6, z: 0.4 },
+      { x: 0.6, z: 0.4 }
+    ];
+
+    positions.forEach(pos => {
+      const bundle = createRawBundle(MACHINE_CONFIG.rawBundle);
+      bundle.position.set(cfg.x + pos.x, cfg.platformHeight + 0.4, cfg.z + pos.z);
+      scene.add(bundle);
+      machine.rawBundles.push(bundle);
+    });
+  }
+
+  // ===== CONFIGURATION =====
+  // The engine rebuilds the scene and replays; drop torn-down labels
+  function configChanged() {
+    machine.labels = machine.labels.filter(label => label.parent);
+  }
+
+  // ===== EVENT LISTENERS =====
+  toggleGlowBtn.addEventListener('click', () => {
+    glowEnabled = !glowEnabled;
+    toggleGlowBtn.textContent = glowEnabled ? '✨ Glow: ON' : '✨ Glow: OFF';
+  });
+
+  // ===== SIMULATION =====
+  // Everything that changes with simulated time, advanced in fixed steps by
+  // the scrubber so any moment can be rebuilt by resetting and replaying.
+  function stepSimulation(dt) {
+    faults.update(dt);
+    trays.update(dt);
+    // An alarm or a tray change-over holds only its own arm
+    if (SIDES.some(side => trays.isChanging(side) && !faults.isStopped(side))) {
+      machine.trayStopTime += dt;
+      trayStopTimeDisplay.textContent = machine.trayStopTime.toFixed(1) + 's';
+    }
+
+    // Fire due events and drive channels from the program, one arm at a time
+    const states = clocks.advance(engine.timeline, dt, side => faults.isStopped(side) || trays.isChanging(side));
+
+    // Loop the cycle
+    const loopTimes = SIDES.map(side => clocks.time(side) % CYCLE_DURATION);
+
+    // Update timer
+    cycleTimer.textContent = loopTimes[0] === loopTimes[1]
+      ? loopTimes[0].toFixed(1) + 's'
+      : `L ${loopTimes[0].toFixed(1)}s · R ${loopTimes[1].toFixed(1)}s`;
+
+    // Animate pulsing indicator light
+    if (machine.indicatorLight) {
+      const pulse = Math.sin(Math.max(...loopTimes) * 4) * 0.5 + 0.5;
+      machine.indicatorLight.material.emissiveIntensity = 0.5 + pulse * 0.5;
+    }
+
+    // What each arm is doing; the other arm works on through a hold
+    const statusOf = side => {
+      const alarms = faults.active.filter(a => a.side === side);
+      if (alarms.length) return '🚨 ALARM: ' + alarms.map(a => a.label).join(', ');
+      if (trays.isChanging(side)) return '🧺 TRAY FULL: changing tray';
+      return states[side] ? states[side].phase.label : '';
+    };
+    const [left, right] = SIDES.map(statusOf);
+    cycleText.textContent = left === right ? left : `LEFT: ${left} | RIGHT: ${right}`;
+    return clocks.cellState(states);
+  }
+
+  function resetSimulation() {
+    clocks.reset();
+    sideCounters.left.textContent = '0';
+    sideCounters.right.textContent = '0';
+
+    // Remove all wrapped bundles
+    machine.leftBundles.forEach(b => scene.remove(b));
+    machine.rightBundles.forEach(b => scene.remove(b));
+    machine.leftBundles = [];
+    machine.rightBundles = [];
+    resetTrays();
+
+    // Remove current bundles if exist
+    if (machine.leftBundle) {
+      machine.leftBundle.parent.remove(machine.leftBundle); // may be riding on the forearm
+      machine.leftBundle = null;
+    }
+    if (machine.rightBundle) {
+      machine.rightBundle.parent.remove(machine.rightBundle); // may be riding on the forearm
+      machine.rightBundle = null;
+    }
+
+    // Forget the previous IK solutions so the joint branch choice replays too
+    SIDES.forEach(side => {
+      machine[side + 'ArmIK'] = { goal: { x: 0, z: 0 }, joints: { shoulder: 0, elbow: 0 }, reachable: true, reason: null, slot: 0 };
+    });
+    updateReachStatus();
+
+    clocks.applyChannels(engine.timeline);
+    cycleText.textContent = PHASES[0].label;
+    cycleTimer.textContent = '0.0s';
+  }
+
+  // ===== ALARMS =====
+  // Faults are raised at the program's `fault` events by the controller in
+  // ../shared/faults.js. While any alarm is active the indicator light turns
+  // red, the affected wrapper is highlighted and that side's arm is held;
+  // the other arm keeps running its program.
+  function raiseAlarm(alarm) {
+    if (alarm.type === 'droppedBundle') {
+      // The bundle falls out of the gripper and is scrapped on recovery
+      const bundle = machine[alarm.side + 'Bundle'];
+      engine.events.emit('scrapped', { bundle: bundle.userData.bundleId, side: alarm.side, reason: 'dropped' });
+      scene.attach(bundle);
+      bundle.position.y = 0.35;
+      bundle.rotation.set(Math.PI / 2, 0, 0);
+      alarm.bundle = bundle;
+      machine[alarm.side + 'Bundle'] = null;
+    }
+    updateAlarmVisuals();
+  }
+
+  function clearAlarm(alarm) {
+    if (alarm.bundle) {
+      scene.remove(alarm.bundle);
+      alarm.bundle = null;
+    }
+    updateAlarmVisuals();
+  }
+
+  function updateAlarmVisuals() {
+    const baseCfg = MACHINE_CONFIG.centerBase;
+    const lightColor = faults.active.length ? baseCfg.alarmLightColor : baseCfg.lightColor;
+    machine.indicatorLight.material.color.set(lightColor);
+    machine.indicatorLight.material.emissive.set(lightColor);
+
+    SIDES.forEach(side => {
+      const wrapperDown = faults.active.some(a => a.side === side && (a.type === 'wrapperJam' || a.type === 'emptyTape'));
+      const color = wrapperDown ? MACHINE_CONFIG.faults.alarmColor : MACHINE_CONFIG[side + 'Machine'].bodyColor;
+      machine[side + 'MachineBody'].material.color.set(color);
+    });
+  }
+
+  // ===== TRAY CHANGE-OVER =====
+  // See ../shared/parts.js. A change-over holds the arm of that side only.
+  const trays = createTrayChangeover(MACHINE_CONFIG.trayChangeover, {
+    scene,
+    trayConfig: side => MACHINE_CONFIG[side + 'Tray'],
+    tray: side => machine[side + 'Tray'],
+    onFull: record => engine.events.emit('tray_full', { side: record.side, tray: record.tray, bundles: record.bundles, cycle: record.cycle + 1 })
+  });
+
+  function traySlot(side, slotIndex) {
+    return traySlotPosition(MACHINE_CONFIG[side + 'Tray'], slotIndex, MACHINE_CONFIG.wrappedBundle.height / 2);
+  }
+
+  function startTrayChange(side, cycle) {
+    trays.start(side, machine[side + 'Bundles'], cycle, clocks.time(side));
+    machine[side + 'Bundles'] = [];
+  }
+
+  function trayNumber(side) {
+    return trays.completed.filter(t => t.side === side).length + 1;
+  }
+
+  // Counters and the tray log follow the production events (../shared/events.js)
+  engine.events.subscribe('placed', event => {
+    sideCounters[event.side].textContent = engine.events.count('placed', event.side);
+  });
+
+  engine.events.subscribe('tray_full', event => {
+    const entry = document.createElement('div');
+    entry.className = event.side;
+    entry.textContent = `${event.side.toUpperCase()} #${event.tray}: ${event.bundles} bundles @ ${event.time.toFixed(1)}s`;
+    trayLog.prepend(entry);
+    traysCompletedDisplay.textContent = engine.events.count('tray_full');
+  });
+
+  function resetTrays() {
+    trays.reset();
+    machine.trayStopTime = 0;
+    trayLog.innerHTML = '';
+    traysCompletedDisplay.textContent = '0';
+    trayStopTimeDisplay.textContent = '0.0s';
+  }
+
+  // ===== ARM TARGETS & INVERSE KINEMATICS =====
+  // Grip points the program can aim at, derived from the station layout
+  function pickPoint(side) {
+    const topCfg = MACHINE_CONFIG.topStation;
+    return { x: topCfg.x + topCfg.pickOffsets[side], z: topCfg.z };
+  }
+
+  function wrapperPoint(side) {
+    const cfg = MACHINE_CONFIG[side + 'Machine'];
+    return { x: cfg.x, z: cfg.z };
+  }
+
+  // Slot the arm is carrying to, or the one it has just filled
+  function currentTraySlot(side) {
+    const slot = machine[side + 'Bundle'] ? machine[side + 'Bundles'].length : machine[side + 'ArmIK'].slot;
+    const pos = traySlot(side, slot || 0);
+    return { x: pos.x, z: pos.z };
+  }
+
+  const ARM_TARGETS = {
+    get leftPick() { return pickPoint('left'); },
+    get rightPick() { return pickPoint('right'); },
+    get leftWrapper() { return wrapperPoint('left'); },
+    get rightWrapper() { return wrapperPoint('right'); },
+    get leftTraySlot() { return currentTraySlot('left'); },
+    get rightTraySlot() { return currentTraySlot('right'); }
+  };
+
+  function armKinematics(side) {
+    const cfg = MACHINE_CONFIG[side + 'Arm'];
+    return {
+      x: cfg.pivotX,
+      z: cfg.pivotZ,
+      upperLength: cfg.segment1Length,
+      lowerLength: cfg.segment2Length + cfg.gripOffset,
+      shoulderLimits: cfg.shoulderLimits,
+      elbowLimits: cfg.elbowLimits
+    };
+  }
+
+  // Solve shoulder/elbow for the arm's current goal and report reach changes
+  function solveArm(side) {
+    const ik = machine[side + 'ArmIK'];
+    const result = solveTwoLinkIK(ik.goal, armKinematics(side), ik.joints);
+
+    ik.joints = { shoulder: result.shoulder, elbow: result.elbow };
+    machine[side + 'ArmPivot'].rotation.y = result.shoulder;
+    machine[side + 'ArmElbow'].rotation.y = result.elbow;
+
+    if (result.reachable !== ik.reachable) {
+      ik.reachable = result.reachable;
+      ik.reason = result.reason;
+      updateReachStatus();
+    }
+  }
+
+  function updateReachStatus() {
+    const problems = SIDES
+      .filter(side => !machine[side + 'ArmIK'].reachable)
+      .map(side => `${side.toUpperCase()}: ${machine[side + 'ArmIK'].reason}`);
+    reachStatus.textContent = problems.length ? '⚠️ ' + problems.join(' | ') : 'OK';
+    reachStatus.style.color = problems.length ? '#FF5459' : '';
+  }
+
+  // Every target the layout asks an arm to reach (pick, wrapper and each
+  // tray slot) that is out of range or outside the joint limits
+  function layoutReachProblems() {
+    const problems = [];
+    SIDES.forEach(side => {
+      const arm = armKinematics(side);
+      const check = point => solveTwoLinkIK({ x: point.x, z: point.z }, arm);
+      [['pick', pickPoint(side)], ['wrapper', wrapperPoint(side)]].forEach(([label, point]) => {
+        const result = check(point);
+        if (!result.reachable) problems.push(`${side.toUpperCase()} ${label}: ${result.reason}`);
+      });
+      // One line per tray: how many slots are out of reach, and why the first is
+      const slots = [];
+      for (let slot = 0; slot < trayCapacity(MACHINE_CONFIG[side + 'Tray']); slot++) slots.push(check(traySlot(side, slot)));
+      const missed = slots.filter(result => !result.reachable);
+      if (missed.length) {
+        problems.push(`${side.toUpperCase()} tray: ${missed.length} of ${slots.length} slots unreachable (${missed[0].reason})`);
+      }
+    });
+    return problems;
+  }
+
+  // ===== COLLISIONS =====
+  // Arms, the bundles they carry and the station bodies, checked every step.
+  // Each arm feeds its own wrapper through the input slot, so that contact is
+  // part of the process; everything else touching is logged.
+  function collisionBodies() {
+    const carried = side => {
+      const bundle = machine[side + 'Bundle'];
+      return bundle && bundle.parent !== scene ? bundle : null;
+    };
+    return [
+      { name: 'TOP station', objects: [machine.topPlatform] },
+      { name: 'CENTER base', objects: [machine.centerBase] }
+    ].concat(...SIDES.map(side => [
+      { name: `${side.toUpperCase()} arm`, group: side, objects: [machine[side + 'ArmSegment1'], machine[side + 'ArmElbow']] },
+      { name: `${side.toUpperCase()} bundle`, group: side, objects: [carried(side)] },
+      { name: `${side.toUpperCase()} wrapper`, objects: [machine[side + 'MachineBody'], machine[side + 'MachineDisk']] },
+      { name: `${side.toUpperCase()} tray`, objects: [machine[side + 'Tray']] }
+    ]));
+  }
+
+  function collisionAllowed(a, b) {
+    return ['LEFT', 'RIGHT'].some(side => b === `${side} wrapper` && (a === `${side} arm` || a === `${side} bundle`));
+  }
+
+  // ===== TIMELINE RIG =====
+  // Maps the channel and event names used in program.js onto the scene.
+  // The timeline is advanced once per arm (see stepSimulation) with that arm
+  // as ctx.side: channels and events act on it only, and an event carrying
+  // another `side` is skipped.
+  function buildRig() {
+    const topCfg = MACHINE_CONFIG.topStation;
+    const sidesFor = (event, ctx) => (event.side && event.side !== ctx.side ? [] : [ctx.side]);
+    const onSide = (side, apply) => (value, ctx) => {
+      if (ctx.side === side) apply(value);
+    };
+    const setOpacity = (mesh, value) => {
+      if (mesh) mesh.material.opacity = glowEnabled ? value : 0;
+    };
+
+    return {
+      config: Object.assign({}, MACHINE_CONFIG, { targets: ARM_TARGETS }),
+
+      context: () => ({ side: clocks.side }),
+
+      afterChannels: (state, ctx) => solveArm(ctx.side),
+
+      channels: {
+        // Grip goal points, solved into joint angles in afterChannels
+        'leftArm.goalX': onSide('left', x => { machine.leftArmIK.goal.x = x; }),
+        'leftArm.goalZ': onSide('left', z => { machine.leftArmIK.goal.z = z; }),
+        'rightArm.goalX': onSide('right', x => { machine.rightArmIK.goal.x = x; }),
+        'rightArm.goalZ': onSide('right', z => { machine.rightArmIK.goal.z = z; }),
+        'jaws.open': (dist, ctx) => {
+          const jaws = machine[ctx.side + 'GripperJaws'];
+          jaws[0].position.x = -dist;
+          jaws[1].position.x = dist;
+        },
+        'disks.spin': (deg, ctx) => {
+          machine[ctx.side + 'MachineDisk'].rotation.y = THREE.MathUtils.degToRad(deg);
+        },
+        // Rotate the bundle sitting in the wrapper to show the wrapping process
+        'bundles.spin': (deg, ctx) => {
+          const bundle = machine[ctx.side + 'Bundle'];
+          if (bundle && bundle.parent === scene) bundle.rotation.y = THREE.MathUtils.degToRad(deg);
+        },
+        // Tape wound on the raw bundle so far
+        'tape.progress': (share, ctx) => {
+          const bundle = machine[ctx.side + 'Bundle'];
+          if (bundle && bundle.parent === scene && !machine[ctx.side + 'BundleWrapped']) {
+            windTape(bundle, MACHINE_CONFIG.wrappedBundle, share);
+          }
+        },
+        'armGlow.opacity': (value, ctx) => setOpacity(machine[ctx.side + 'ArmGlow'], value),
+        'machineGlow.opacity': (value, ctx) => setOpacity(machine[ctx.side + 'MachineGlow'], value)
+      },
+
+      events: {
+        // New raw bundle at each arm's pick point on the TOP station
+        spawn: (event, ctx) => {
+          sidesFor(event, ctx).forEach(side => {
+            if (machine[side + 'Bundle']) return;
+            const pick = pickPoint(side);
+            const bundle = createRawBundle(MACHINE_CONFIG.rawBundle);
+            bundle.position.set(pick.x, topCfg.platformHeight + 0.4, pick.z);
+            scene.add(bundle);
+            machine[side + 'Bundle'] = bundle;
+            machine[side + 'BundleWrapped'] = false;
+            engine.events.spawn(bundle, { side });
+          });
+        },
+
+        // Gripper takes its bundle; it rides on the forearm at the grip point
+        attach: (event, ctx) => {
+          sidesFor(event, ctx).forEach(side => {
+            const bundle = machine[side + 'Bundle'];
+            if (!bundle) return;
+            engine.events.emit('picked', {
+              bundle: bundle.userData.bundleId,
+              side,
+              station: machine[side + 'BundleWrapped'] ? 'wrapper' : 'top'
+            });
+            const cfg = MACHINE_CONFIG[side + 'Arm'];
+            machine[side + 'ArmElbow'].attach(bundle);
+            bundle.position.set(0, 0.2, -(cfg.segment2Length + cfg.gripOffset));
+            bundle.rotation.y = 0;
+          });
+        },
+
+        // Gripper lets go of the bundle inside its wrapping machine
+        release: (event, ctx) => {
+          sidesFor(event, ctx).forEach(side => {
+            const bundle = machine[side + 'Bundle'];
+            if (!bundle || bundle.parent === scene) return;
+            const machineCfg = MACHINE_CONFIG[side + 'Machine'];
+            scene.attach(bundle);
+            bundle.position.set(machineCfg.x, event.y, machineCfg.z);
+            engine.events.emit('inserted', { bundle: bundle.userData.bundleId, side, station: 'wrapper' });
+          });
+        },
+
+        // Convert to wrapped bundles
+        swap: (event, ctx) => {
+          sidesFor(event, ctx).forEach(side => {
+            const bundle = machine[side + 'Bundle'];
+            if (!bundle || machine[side + 'BundleWrapped']) return;
+            const wrapped = createWrappedBundle(MACHINE_CONFIG.wrappedBundle);
+            wrapped.position.copy(bundle.position);
+            wrapped.rotation.copy(bundle.rotation);
+            wrapped.userData.bundleId = bundle.userData.bundleId;
+            scene.remove(bundle);
+            scene.add(wrapped);
+            machine[side + 'Bundle'] = wrapped;
+            machine[side + 'BundleWrapped'] = true;
+            engine.events.emit('wrapped', { bundle: wrapped.userData.bundleId, side, tape: wrapped.userData.tape.userData.length });
+          });
+        },
+
+        // Drop each bundle into the next free slot of its tray; the last slot fills the tray
+        place: (event, ctx) => {
+          sidesFor(event, ctx).forEach(side => {
+            const bundle = machine[side + 'Bundle'];
+            if (!bundle) return;
+            const trayBundles = machine[side + 'Bundles'];
+            scene.attach(bundle);
+
+            const slotIndex = trayBundles.length;
+            bundle.position.copy(traySlot(side, slotIndex));
+            machine[side + 'ArmIK'].slot = slotIndex;
+
+            trayBundles.push(bundle);
+            machine[side + 'Bundle'] = null;
+            machine[side + 'BundleWrapped'] = false;
+            engine.events.emit('placed', { bundle: bundle.userData.bundleId, side, tray: trayNumber(side), slot: trayBundles.length });
+
+            if (trayBundles.length >= trayCapacity(MACHINE_CONFIG[side + 'Tray'])) startTrayChange(side, ctx.cycle);
+          });
+        },
+
+        // Fault point: the controller decides whether the fault happens
+        fault: (event, ctx) => {
+          sidesFor(event, ctx).forEach(side => {
+            if (event.fault === 'droppedBundle' && !machine[side + 'Bundle']) return;
+            faults.trigger(event.fault, side, ctx.cycle);
+          });
+        }
+      }
+    };
+  }
+
+  return {
+    sections: SCENE_SECTIONS,
+    rig: buildRig(),
+    reset: resetSimulation,
+    step: stepSimulation,
+    raiseAlarm,
+    clearAlarm,
+    collisionBodies,
+    collisionAllowed,
+    layout: {
+      items: ['topStation', 'leftMachine', 'rightMachine', 'leftTray', 'rightTray'],
+      problems: layoutReachProblems
+    },
+    configChanged
+  };
+}
@@ -0,0 +1,146 @@
+// ===== PACKAGE LABELS =====
+// The label printed at the upgradedProcess checkweigh and put on the paper
+// package: text lines from the `labels` template in the variant's config,
+// over a Code 128 barcode of the bundle ID. `{name}` in a line is replaced
+// by that field of the bundle, a name that is not a field is printed as it
+// is. Fields: sku, material, weight (g), grade, side, lot, bundle and time.
+// One layout, in mm, is drawn on a canvas (the package texture, the panel
+// preview and the PNG download) and written as SVG for the label printer.
+
+// Bar and space widths of each Code 128 symbol, in modules
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+const CODE128_QUIET = 10; // modules of white either side
+
+const LABEL_MARGIN = 2;            // mm
+const LABEL_BARCODE_SHARE = 0.45;  // of the label height, with the ID under the bars
+
+// Bar and space widths of `text` in Code 128 code set B, from the start
+// symbol through the check symbol to the stop symbol, bar first
+function code128Widths(text) {
+  const values = Array.from(text).map(char => {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 126) throw new Error(`Label: "${text}" cannot be printed as a Code 128 barcode`);
+    return code - 32;
+  });
+  const check = values.reduce((sum, value, i) => sum + value * (i + 1), CODE128_START_B) % 103;
+  return [CODE128_START_B, ...values, check, CODE128_STOP]
+    .map(value => CODE128_PATTERNS[value])
+    .join('')
+    .split('')
+    .map(Number);
+}
+
+// Local date and time `seconds` into the shift that started at `shiftStart`
+// ("2025-01-06T06:00"); the simulated time itself when that is not a date
+function labelTime(shiftStart, seconds) {
+  const start = Date.parse(shiftStart);
+  if (Number.isNaN(start)) return `t+${seconds.toFixed(1)}s`;
+  const date = new Date(start + seconds * 1000);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// Fields of the bundle of a `weighed` event (see ../shared/events.js)
+function labelFields(event, sku, template) {
+  return {
+    sku: event.sku,
+    material: sku.material,
+    weight: event.weight.toFixed(2),
+    grade: event.grade === 'reject' ? 'REJECT' : event.grade,
+    side: event.side.toUpperCase(),
+    lot: event.lot,
+    bundle: event.bundle,
+    time: labelTime(template.shiftStart, event.time)
+  };
+}
+
+// Label layout in mm: { width, height, lines: [{ text, y, size }], bars:
+// [{ x, width }], barTop, barHeight, caption: { text, y, size } }. Text
+// takes the top of the label, the barcode and the bundle ID under it the
+// bottom LABEL_BARCODE_SHARE.
+function labelLayout(template, fields) {
+  const margin = LABEL_MARGIN;
+  const barArea = template.height * LABEL_BARCODE_SHARE;
+  const textArea = template.height - barArea - margin;
+  const lineHeight = textArea / Math.max(1, template.lines.length);
+  const lines = template.lines.map((line, i) => ({
+    text: line.replace(/\{(\w+)\}/g, (match, name) => (name in fields ? String(fields[name]) : match)),
+    y: margin + lineHeight * (i + 0.5),
+    size: lineHeight * 0.75
+  }));
+
+  const widths = code128Widths(fields.bundle);
+  const modules = widths.reduce((sum, w) => sum + w, 0) + 2 * CODE128_QUIET;
+  const module = (template.width - 2 * margin) / modules;
+  const bars = [];
+  let x = margin + CODE128_QUIET * module;
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) bars.push({ x, width: w * module });
+    x += w * module;
+  });
+  const captionSize = Math.min(lineHeight * 0.6, barArea * 0.25);
+  return {
+    width: template.width,
+    height: template.height,
+    lines,
+    bars,
+    barTop: template.height - barArea,
+    barHeight: barArea - margin - captionSize * 1.2,
+    caption: { text: fields.bundle, y: template.height - margin - captionSize / 2, size: captionSize }
+  };
+}
+
+// Draw a layout on `canvas`, resized to `pxPerMm`
+function drawLabel(canvas, layout, pxPerMm) {
+  canvas.width = Math.round(layout.width * pxPerMm);
+  canvas.height = Math.round(layout.height * pxPerMm);
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(pxPerMm, 0, 0, pxPerMm, 0, 0);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, layout.width, layout.height);
+
+  ctx.fillStyle = '#000000';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  layout.lines.forEach(line => {
+    ctx.font = `bold ${line.size}px Arial`;
+    ctx.fillText(line.text, layout.width / 2, line.y, layout.width * 0.94);
+  });
+  layout.bars.forEach(bar => ctx.fillRect(bar.x, layout.barTop, bar.width, layout.barHeight));
+  ctx.font = `${layout.caption.size}px monospace`;
+  ctx.fillText(layout.caption.text, layout.width / 2, layout.caption.y);
+  return canvas;
+}
+
+// The same layout as an SVG document, sized in mm
+function labelToSVG(layout) {
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const n = value => +value.toFixed(3);
+  const text = (item, weight, family) =>
+    `  <text x="${n(layout.width / 2)}" y="${n(item.y)}" font-family="${family}" font-weight="${weight}" font-size="${n(item.size)}" ` +
+    `text-anchor="middle" dominant-baseline="middle">${escape(item.text)}</text>`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}mm" height="${layout.height}mm" viewBox="0 0 ${layout.width} ${layout.height}">`,
+    `  <rect width="${layout.width}" height="${layout.height}" fill="#FFFFFF"/>`,
+    ...layout.lines.map(line => text(line, 'bold', 'Arial')),
+    ...layout.bars.map(bar => `  <rect x="${n(bar.x)}" y="${n(layout.barTop)}" width="${n(bar.width)}" height="${n(layout.barHeight)}" fill="#000000"/>`),
+    text(layout.caption, 'normal', 'monospace'),
+    '</svg>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,65 @@
+// ===== PRODUCTS, SCHEDULE & CHECKWEIGH =====
+// The upgradedProcess production rules as plain functions of its settings,
+// shared by the variant and the headless throughput tool
+// (../tools/throughput.js):
+//   scheduledSku         SKU an arm makes in a cycle
+//   scheduleChangeovers  arms that change SKU at the start of a cycle
+//   cyclePhaseDurations  the cycle's phase times (a rig's phaseDurations,
+//                        see ../shared/timeline.js)
+//   bundleWeightOf       scale reading of a finished bundle
+//   checkweighGrade      'A', 'B' or 'reject' for a weight
+// `skus` and `schedule` are the variant's settings of those names.
+
+const PRODUCTION_SIDES = ['left', 'right'];
+
+// SKU named `name`, or the first one when no SKU has that name
+function findSku(skus, name) {
+  return skus.find(sku => sku.name === name) || skus[0];
+}
+
+// An arm makes its schedule list over and over, `count` cycles per entry
+function scheduledSku(skus, schedule, side, cycle) {
+  const queue = schedule[side];
+  const total = queue.reduce((sum, entry) => sum + entry.count, 0);
+  let position = total > 0 ? cycle % total : 0;
+  const entry = queue.find(item => (position -= item.count) < 0);
+  return findSku(skus, entry ? entry.sku : null);
+}
+
+// [{ side, from, to }]
+function scheduleChangeovers(skus, schedule, cycle) {
+  if (cycle < 1) return [];
+  return PRODUCTION_SIDES
+    .map(side => ({ side, from: scheduledSku(skus, schedule, side, cycle - 1), to: scheduledSku(skus, schedule, side, cycle) }))
+    .filter(change => change.from.name !== change.to.name);
+}
+
+// Both arms share the cycle: a stage takes as long as the slower of their
+// SKUs, and a SKU change on either arm holds both for the setup
+function cyclePhaseDurations(skus, schedule, cycle) {
+  const made = PRODUCTION_SIDES.map(side => scheduledSku(skus, schedule, side, cycle));
+  return {
+    changeover: scheduleChangeovers(skus, schedule, cycle).length ? schedule.changeoverTime : 0,
+    wait_wrap: Math.max(...made.map(sku => sku.wrapTime)),
+    wait_paper: Math.max(...made.map(sku => sku.paperTime))
+  };
+}
+
+// The SKU's strands cut to its height, plus tape and paper. cfg is the
+// bundleWeight settings; roll(what) draws the uniform [0, 1) variation of
+// 'strands' and 'density' for this bundle. Returns { strands, weight }.
+function bundleWeightOf(cfg, sku, roll) {
+  const vary = (tolerance, what) => 1 + tolerance * (2 * roll(what) - 1);
+  const strands = Math.round(sku.strands * vary(cfg.strandTolerance, 'strands'));
+  const length = sku.height * MM_PER_UNIT / 10;                     // cm, see ../shared/parts.js
+  const section = Math.PI * Math.pow(cfg.filamentDiameter / 20, 2); // cm², from the diameter in mm
+  const density = sku.density * vary(cfg.densityTolerance, 'density');
+  const weight = strands * length * section * density + cfg.tapeMass + cfg.paperMass;
+  return { strands, weight: Math.round(weight * 100) / 100 };
+}
+
+// Grade A within quality.gradeALimits, else B within gradeBLimits
+function checkweighGrade(quality, weight) {
+  const within = ([min, max]) => weight >= min && weight <= max;
+  return within(quality.gradeALimits) ? 'A' : within(quality.gradeBLimits) ? 'B' : 'reject';
+}
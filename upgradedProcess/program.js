@@ -0,0 +1,92 @@
+// ===== WRAP + PAPER PROCESS PROGRAM =====
+// Data-only motion sequence, interpreted by ../shared/timeline.js.
+// ANGLE MAPPING (degrees):
+//   0 = Pointing Back (Input Station)
+//   90 (Left) or -90 (Right) = Pointing Side (Wrapper)
+//   135 / -135 = Paper Station, 180 / -180 = Pointing Front (Output)
+//   45 / -45 = Reject Bin, passed on the way back to the input
+// Jaw values: 0.3 = open, 0.15 = closed.
+// `busy` lists the resource units a phase occupies (../shared/throughput.js).
+// The times below are those of a cycle without a SKU change; the variant
+// stretches `changeover`, `wait_wrap` and `wait_paper` per cycle to the
+// products on the arms (its rig's phaseDurations, see ../shared/timeline.js).
+// `tape.progress` is the share of the tape helix wound on (see
+// ../shared/parts.js), full at the swap.
+// `fault` events are points where a fault may occur (see ../shared/faults.js).
+
+defineProgram({
+  name: 'upgradedProcess',
+  cycleDuration: 18.0,
+  easing: 'quad',
+  resources: { arm: 2, wrapper: 2, paper: 2 },
+  output: { event: 'drop', bundles: 2 },
+  phases: [
+    {
+      // Setup time before a cycle whose SKU differs from the last one's
+      name: 'changeover', start: 0.0, end: 0.0, label: '🔧 SKU Changeover',
+      events: [{ at: 0, type: 'changeover' }]
+    },
+    {
+      name: 'spawn_at_start', start: 0.0, end: 1.0, label: '🏭 Spawning at Input Station',
+      keys: { 'leftArm.yaw': 0, 'rightArm.yaw': 0, 'jaws.open': 0.3 },
+      events: [{ at: 0.1, type: 'spawn' }]
+    },
+    {
+      name: 'pick_input', start: 1.0, end: 3.0, label: '🦾 Picking Material (Arms at Input)', busy: { arm: 2 },
+      keys: { 'jaws.open': { keys: [[0, 0.3], [0.5, 0.3], [0.5, 0.15], [1, 0.15]] } },
+      events: [{ at: 0.5, type: 'attach', offset: [0, 0, 0] }]
+    },
+    {
+      name: 'move_wrap', start: 3.0, end: 5.0, label: '➡️ Rotating to Wrapper', busy: { arm: 2 },
+      keys: { 'leftArm.yaw': [0, 90], 'rightArm.yaw': [0, -90] },
+      events: [{ at: 0.9, type: 'release', station: 'Wrapper', y: 1.6 }]
+    },
+    {
+      name: 'wait_wrap', start: 5.0, end: 8.0, label: '⏳ Waiting for Wrapping', busy: { wrapper: 2 },
+      keys: {
+        'jaws.open': 0.3,
+        'objects.jitter': { wave: 'sine', freq: 45, amp: 0.025 },
+        'objects.spin': { keys: [[0, 0], [1, 2060]], easing: 'linear' },
+        'tape.progress': { keys: [[0, 0], [0.8, 1], [1, 1]], easing: 'linear' }
+      },
+      events: [
+        { at: 0.2, type: 'fault', fault: 'emptyTape' },
+        { at: 0.5, type: 'fault', fault: 'wrapperJam' },
+        { at: 0.8, type: 'swap', into: 'bundled' }
+      ]
+    },
+    {
+      name: 'move_paper', start: 8.0, end: 10.0, label: '➡️ Rotating to Paper Station', busy: { arm: 2 },
+      keys: { 'jaws.open': 0.15, 'leftArm.yaw': [90, 135], 'rightArm.yaw': [-90, -135] },
+      events: [{ at: 0, type: 'attach' }, { at: 0.9, type: 'release', station: 'PaperMachine', y: 1.2 }]
+    },
+    {
+      name: 'wait_paper', start: 10.0, end: 13.0, label: '⏳ Waiting for Paper Application', busy: { paper: 2 },
+      keys: { 'jaws.open': 0.3 },
+      events: [{ at: 0.5, type: 'swap', into: 'paper' }]
+    },
+    {
+      name: 'move_output', start: 13.0, end: 15.0, label: '⚖️ Checkweighing, Rotating to Output', busy: { arm: 2 },
+      keys: { 'jaws.open': 0.15, 'leftArm.yaw': [135, 180], 'rightArm.yaw': [-135, -180] },
+      events: [{ at: 0, type: 'attach' }, { at: 0.1, type: 'checkweigh' }]
+    },
+    {
+      // Grade A and B bundles go into the tray, rejects stay in the gripper
+      name: 'drop_item', start: 15.0, end: 16.0, label: '📦 Dropping Item', busy: { arm: 2 },
+      events: [{ at: 0, type: 'drop' }]
+    },
+    {
+      name: 'move_reject', start: 16.0, end: 17.0, label: '➡️ Rotating to Reject Bin', busy: { arm: 2 },
+      keys: { 'leftArm.yaw': [180, 45], 'rightArm.yaw': [-180, -45] }
+    },
+    {
+      name: 'drop_reject', start: 17.0, end: 17.4, label: '🗑️ Dropping Rejects', busy: { arm: 2 },
+      keys: { 'jaws.open': 0.3 },
+      events: [{ at: 0, type: 'reject' }]
+    },
+    {
+      name: 'return_home', start: 17.4, end: 18.0, label: '🔄 Rotating BACK to Input', busy: { arm: 2 },
+      keys: { 'leftArm.yaw': [45, 0], 'rightArm.yaw': [-45, 0] }
+    }
+  ]
+});
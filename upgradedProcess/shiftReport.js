@@ -0,0 +1,127 @@
+// ===== OFFLINE SHIFT REPORT =====
+// Rule-based quality report on the upgradedProcess checkweigh, worked out
+// locally from the `weighed` production events (see ../shared/events.js),
+// so it needs no network or model. The Gemini summary in variant.js is an
+// optional extra on top of it.
+//
+// An arm needs calibration when, over at least `rules.minBundles` of its
+// bundles, any of these rules trips:
+//   meanOffsetLimit  |mean - centre of the grade A band| in g
+//   stdDevLimit      standard deviation in g
+//   driftLimit       |mean of the second half - mean of the first half| in g
+//   minInSpec        share of bundles within the grade B band (not rejected)
+
+const SHIFT_REPORT_SIDES = ['left', 'right'];
+const SHIFT_REPORT_GRADES = ['A', 'B', 'reject'];
+
+function averageOf(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Count, mean, standard deviation, min / max, in-spec share, grade shares
+// and drift of a run of weighed events
+function summarizeWeights(weighed) {
+  const weights = weighed.map(item => item.weight);
+  const count = weights.length;
+  const average = averageOf(weights);
+  const half = Math.floor(count / 2);
+  const share = test => count ? weighed.filter(test).length / count : null;
+  const grades = {};
+  SHIFT_REPORT_GRADES.forEach(grade => { grades[grade] = share(item => item.grade === grade); });
+  return {
+    count,
+    mean: average,
+    stdDev: count > 1 ? Math.sqrt(weights.reduce((sum, w) => sum + Math.pow(w - average, 2), 0) / (count - 1)) : null,
+    min: count ? Math.min(...weights) : null,
+    max: count ? Math.max(...weights) : null,
+    inSpec: share(item => item.grade !== 'reject'),
+    grades,
+    early: half ? averageOf(weights.slice(0, half)) : null,
+    late: half ? averageOf(weights.slice(count - half)) : null
+  };
+}
+
+// `weighed` in the order they were weighed; `quality` and `rules` are the
+// variant's MACHINE_CONFIG.quality and MACHINE_CONFIG.shiftReport
+function buildShiftReport(weighed, quality, rules) {
+  const target = (quality.gradeALimits[0] + quality.gradeALimits[1]) / 2;
+  const cell = summarizeWeights(weighed);
+  const arms = {};
+  const findings = [];
+  const tooFew = [];
+
+  SHIFT_REPORT_SIDES.forEach(side => {
+    const arm = summarizeWeights(weighed.filter(item => item.side === side));
+    arms[side] = arm;
+    if (arm.count < rules.minBundles) {
+      tooFew.push(side);
+      return;
+    }
+    const finding = text => findings.push({ side, text });
+    const offset = arm.mean - target;
+    if (Math.abs(offset) > rules.meanOffsetLimit) {
+      finding(`mean ${Math.abs(offset).toFixed(2)} g ${offset > 0 ? 'above' : 'below'} the grade A centre of ${target} g (limit ${rules.meanOffsetLimit} g)`);
+    }
+    if (arm.stdDev > rules.stdDevLimit) {
+      finding(`standard deviation ${arm.stdDev.toFixed(2)} g (limit ${rules.stdDevLimit} g)`);
+    }
+    const drift = arm.late - arm.early;
+    if (Math.abs(drift) > rules.driftLimit) {
+      finding(`drifted ${drift > 0 ? '+' : ''}${drift.toFixed(2)} g over the shift (limit ${rules.driftLimit} g)`);
+    }
+    if (arm.inSpec < rules.minInSpec) {
+      finding(`${formatShare(arm.inSpec)} in spec (minimum ${formatShare(rules.minInSpec)})`);
+    }
+  });
+
+  return {
+    target,
+    cell,
+    arms,
+    findings,
+    tooFew,
+    calibrate: SHIFT_REPORT_SIDES.filter(side => findings.some(finding => finding.side === side))
+  };
+}
+
+function formatShare(value) {
+  return value === null ? '—' : (value * 100).toFixed(1) + '%';
+}
+
+function formatGrams(value) {
+  return value === null ? '—' : value.toFixed(2) + ' g';
+}
+
+// Plain-text report; `duration` is the simulated time covered, in seconds
+function formatShiftReport(report, quality, rules, duration) {
+  const { cell, arms } = report;
+  const drift = stats => stats.early === null
+    ? '—'
+    : `${stats.late - stats.early >= 0 ? '+' : ''}${(stats.late - stats.early).toFixed(2)} g (${formatGrams(stats.early)} → ${formatGrams(stats.late)})`;
+  const lines = [
+    `📋 Shift report: ${cell.count} bundles weighed in ${(duration / 60).toFixed(1)} min`,
+    `Weight: mean ${formatGrams(cell.mean)} · sd ${formatGrams(cell.stdDev)} · min ${formatGrams(cell.min)} · max ${formatGrams(cell.max)}`,
+    `In spec (${quality.gradeBLimits[0]}-${quality.gradeBLimits[1]} g): ${formatShare(cell.inSpec)} · ` +
+      `grade A ${formatShare(cell.grades.A)} · grade B ${formatShare(cell.grades.B)} · rejected ${formatShare(cell.grades.reject)}`,
+    `Drift, first to second half: ${drift(cell)}`
+  ];
+  SHIFT_REPORT_SIDES.forEach(side => {
+    const arm = arms[side];
+    lines.push(`${side.toUpperCase()} arm: ${arm.count} bundles · mean ${formatGrams(arm.mean)} · sd ${formatGrams(arm.stdDev)} · ` +
+      `in spec ${formatShare(arm.inSpec)} · drift ${drift(arm)}`);
+  });
+
+  if (report.calibrate.length) {
+    report.calibrate.forEach(side => {
+      const reasons = report.findings.filter(finding => finding.side === side).map(finding => finding.text);
+      lines.push(`🔧 Calibrate the ${side.toUpperCase()} arm: ${reasons.join('; ')}.`);
+    });
+  } else if (report.tooFew.length === 0) {
+    lines.push('✅ No calibration needed: every rule passes on both arms.');
+  }
+  if (report.tooFew.length) {
+    lines.push(`ℹ️ Too few bundles on the ${report.tooFew.map(side => side.toUpperCase()).join(' and ')} ` +
+      `arm${report.tooFew.length > 1 ? 's' : ''} for a recommendation (${rules.minBundles} needed).`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,237 @@
+// ===== STATISTICAL PROCESS CONTROL =====
+// SPC views of the upgradedProcess checkweigh, per arm, from the `weighed`
+// production events (see ../shared/events.js):
+//   X-bar / R chart  means and ranges of consecutive subgroups of
+//                    `subgroupSize` bundles. The control limits come from
+//                    the first `baselineSubgroups` subgroups and stay fixed
+//                    after that, so later drift shows against them.
+//   histogram        in `binWidth` gram bins, with the spec limits (the
+//                    grade B band)
+//   Cp / Cpk         from the within-subgroup sigma, R-bar / d2
+// Western Electric rules are checked on every subgroup mean after the
+// baseline:
+//   1  one point beyond 3 sigma
+//   2  2 of 3 points beyond 2 sigma on the same side
+//   3  4 of 5 points beyond 1 sigma on the same side
+//   4  8 points in a row on the same side of the centre line
+
+// Control chart factors by subgroup size
+const SPC_FACTORS = {
+  2: { A2: 1.880, D3: 0, D4: 3.267, d2: 1.128 },
+  3: { A2: 1.023, D3: 0, D4: 2.574, d2: 1.693 },
+  4: { A2: 0.729, D3: 0, D4: 2.282, d2: 2.059 },
+  5: { A2: 0.577, D3: 0, D4: 2.114, d2: 2.326 },
+  6: { A2: 0.483, D3: 0, D4: 2.004, d2: 2.534 },
+  7: { A2: 0.419, D3: 0.076, D4: 1.924, d2: 2.704 },
+  8: { A2: 0.373, D3: 0.136, D4: 1.864, d2: 2.847 },
+  9: { A2: 0.337, D3: 0.184, D4: 1.816, d2: 2.970 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777, d2: 3.078 }
+};
+
+const SPC_RULES = {
+  1: '1 point beyond 3σ',
+  2: '2 of 3 beyond 2σ',
+  3: '4 of 5 beyond 1σ',
+  4: '8 in a row on one side'
+};
+
+// Rules broken by the subgroup mean at `index`; earlier means are its history
+function westernElectricRules(means, index, limits) {
+  if (!(limits.sigma > 0)) return [];
+  const zones = count => means.slice(Math.max(0, index - count + 1), index + 1).map(m => (m - limits.centre) / limits.sigma);
+  const last = zones(1)[0];
+  const side = Math.sign(last);
+  const beyond = (window, k) => window.filter(z => Math.sign(z) === side && Math.abs(z) > k).length;
+  const broken = [];
+  if (Math.abs(last) > 3) broken.push(1);
+  if (Math.abs(last) > 2 && beyond(zones(3), 2) >= 2) broken.push(2);
+  if (Math.abs(last) > 1 && beyond(zones(5), 1) >= 4) broken.push(3);
+  const run = zones(8);
+  if (side !== 0 && run.length === 8 && run.every(z => Math.sign(z) === side)) broken.push(4);
+  return broken;
+}
+
+// SPC figures of one arm's weighed events; `spec` is [LSL, USL] and
+// `settings` MACHINE_CONFIG.spc
+function analyzeSpc(weighed, spec, settings) {
+  const size = settings.subgroupSize;
+  const factors = SPC_FACTORS[size];
+  if (!factors) throw new Error(`SPC: subgroupSize must be a whole number from 2 to 10 (got ${size})`);
+
+  const weights = weighed.map(item => item.weight);
+  const subgroups = [];
+  for (let start = 0; start + size <= weighed.length; start += size) {
+    const group = weights.slice(start, start + size);
+    subgroups.push({
+      mean: group.reduce((sum, w) => sum + w, 0) / size,
+      range: Math.max(...group) - Math.min(...group),
+      bundle: weighed[start + size - 1].bundle
+    });
+  }
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  let limits = null;
+  if (subgroups.length >= settings.baselineSubgroups) {
+    const baseline = subgroups.slice(0, settings.baselineSubgroups);
+    const centre = average(baseline.map(g => g.mean));
+    const rBar = average(baseline.map(g => g.range));
+    limits = {
+      centre,
+      ucl: centre + factors.A2 * rBar,
+      lcl: centre - factors.A2 * rBar,
+      sigma: factors.A2 * rBar / 3, // of the subgroup means
+      rBar,
+      rUcl: factors.D4 * rBar,
+      rLcl: factors.D3 * rBar
+    };
+    subgroups.forEach((group, index) => {
+      group.rules = index < settings.baselineSubgroups ? [] : westernElectricRules(subgroups.map(g => g.mean), index, limits);
+    });
+  }
+
+  // Capability over every complete subgroup so far
+  let capability = null;
+  if (subgroups.length) {
+    const mean = average(weights);
+    const sigma = average(subgroups.map(g => g.range)) / factors.d2;
+    capability = {
+      mean,
+      sigma,
+      cp: sigma > 0 ? (spec[1] - spec[0]) / (6 * sigma) : null,
+      cpk: sigma > 0 ? Math.min(spec[1] - mean, mean - spec[0]) / (3 * sigma) : null
+    };
+  }
+
+  return { weights, subgroups, limits, capability, spec };
+}
+
+// ===== SPC PANEL =====
+// X-bar, R and histogram canvases for the arm chosen in `side` (a
+// <select>), Cp / Cpk of both arms in `capability`. analyze(side) returns
+// analyzeSpc() of that arm; `settings` is MACHINE_CONFIG.spc. update()
+// redraws everything, so call it when something changed rather than per
+// step.
+const SPC_COLORS = { line: '#FFFFFF', centre: '#4ECDC4', limit: '#FF5459', spec: '#FFD93D', bar: '#7E8A97' };
+
+function bindSpcPanel(analyze, settings, { side, capability, xbar, range, histogram }) {
+  const pad = 28;
+
+  function frame(canvas, min, max, title) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px Arial';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText(title, pad, 12);
+    const span = max - min || 1;
+    return {
+      ctx,
+      x: (index, count) => pad + (count > 1 ? index / (count - 1) : 0.5) * (width - pad - 8),
+      y: value => height - 14 - ((value - min) / span) * (height - 32),
+      width,
+      height
+    };
+  }
+
+  function hLine(chart, value, color, label, dashed) {
+    const { ctx, y, width } = chart;
+    ctx.strokeStyle = color;
+    ctx.setLineDash(dashed ? [4, 3] : []);
+    ctx.beginPath();
+    ctx.moveTo(pad, y(value));
+    ctx.lineTo(width - 8, y(value));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = color;
+    ctx.fillText(label, 0, y(value) + 3);
+  }
+
+  function drawControlChart(canvas, title, values, centre, upper, lower, flagged) {
+    if (!values.length) {
+      frame(canvas, 0, 1, title);
+      return;
+    }
+    const all = values.concat(centre === null ? [] : [upper, lower, centre]);
+    const chart = frame(canvas, Math.min(...all), Math.max(...all), title);
+    const { ctx, x, y } = chart;
+    if (centre !== null) {
+      hLine(chart, upper, SPC_COLORS.limit, upper.toFixed(1), true);
+      hLine(chart, lower, SPC_COLORS.limit, lower.toFixed(1), true);
+      hLine(chart, centre, SPC_COLORS.centre, centre.toFixed(1), false);
+    }
+    ctx.strokeStyle = SPC_COLORS.line;
+    ctx.beginPath();
+    values.forEach((value, i) => {
+      if (i === 0) ctx.moveTo(x(i, values.length), y(value));
+      else ctx.lineTo(x(i, values.length), y(value));
+    });
+    ctx.stroke();
+    values.forEach((value, i) => {
+      ctx.fillStyle = flagged(i) ? SPC_COLORS.limit : SPC_COLORS.line;
+      ctx.fillRect(x(i, values.length) - 2, y(value) - 2, 4, 4);
+    });
+  }
+
+  function drawHistogram(analysis) {
+    const binWidth = settings.binWidth;
+    const { weights, spec, capability } = analysis;
+    const low = Math.floor(Math.min(spec[0], ...weights) / binWidth) * binWidth;
+    const high = Math.ceil(Math.max(spec[1], ...weights) / binWidth) * binWidth;
+    const bins = new Array(Math.max(1, Math.round((high - low) / binWidth))).fill(0);
+    weights.forEach(w => { bins[Math.min(bins.length - 1, Math.floor((w - low) / binWidth))]++; });
+
+    const ctx = histogram.getContext('2d');
+    const { width, height } = histogram;
+    const x = value => pad + ((value - low) / (high - low || 1)) * (width - pad - 8);
+    const top = Math.max(1, ...bins);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px Arial';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText(`Histogram (${weights.length} bundles)`, pad, 12);
+    ctx.fillStyle = SPC_COLORS.bar;
+    bins.forEach((count, i) => {
+      const h = (count / top) * (height - 32);
+      ctx.fillRect(x(low + i * binWidth) + 1, height - 14 - h, x(low + binWidth) - x(low) - 2, h);
+    });
+    const marker = (value, color, label) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(x(value), 16);
+      ctx.lineTo(x(value), height - 14);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.fillText(label, x(value) - 10, height - 2);
+    };
+    marker(spec[0], SPC_COLORS.spec, `LSL ${spec[0]}`);
+    marker(spec[1], SPC_COLORS.spec, `USL ${spec[1]}`);
+    if (capability) marker(capability.mean, SPC_COLORS.centre, 'x̄');
+  }
+
+  function formatIndex(value) {
+    return value === null ? '—' : value.toFixed(2);
+  }
+
+  function update() {
+    const analyses = {};
+    try {
+      ['left', 'right'].forEach(s => { analyses[s] = analyze(s); });
+    } catch (error) {
+      capability.textContent = '⚠️ ' + error.message;
+      return;
+    }
+    capability.textContent = ['left', 'right'].map(s => {
+      const c = analyses[s].capability;
+      return `${s.toUpperCase()} Cp ${formatIndex(c && c.cp)} · Cpk ${formatIndex(c && c.cpk)}`;
+    }).join(' | ');
+
+    const analysis = analyses[side.value];
+    const { subgroups, limits } = analysis;
+    drawControlChart(xbar, `X̄ (${subgroups.length} subgroups)`, subgroups.map(g => g.mean),
+      limits && limits.centre, limits && limits.ucl, limits && limits.lcl, i => subgroups[i].rules && subgroups[i].rules.length > 0);
+    drawControlChart(range, 'R', subgroups.map(g => g.range),
+      limits && limits.rBar, limits && limits.rUcl, limits && limits.rLcl, i => !!limits && (subgroups[i].range > limits.rUcl || subgroups[i].range < limits.rLcl));
+    drawHistogram(analysis);
+  }
+
+  return { update };
+}
@@ -0,0 +1,1142 @@
+// ===== GEMINI SMART FACTORY =====
+// Wrap + paper variant: INPUT → ARMS → WRAPPER → PAPER MACHINE → CHECKWEIGH
+// → TRAYS (grades A and B) or REJECT BINS, making a schedule of product SKUs
+// (see production.js), with a weight log, SPC charts (see spc.js), printed
+// package labels (see label.js) and a shift report (see shiftReport.js) that
+// a language model can add a summary to (see ../shared/llm.js; runs on
+// ../shared/engine.js)
+
+defineVariant({
+  name: 'upgradedProcess',
+  title: 'Gemini Smart Factory',
+  subtitle: 'Dual-Arm Packaging & AI Analysis',
+  program: PROCESS_PROGRAMS.upgradedProcess,
+  view: {
+    camera: [0, 15, 20],
+    target: [0, 0, 0],
+    fov: 45,
+    fog: null,
+    grid: 30
+  },
+
+  // ===== SIMULATION CONFIGURATION =====
+  config: {
+    // Input Stations (Back of the scene)
+    leftInput: { x: -2, y: 0, z: -5, color: '#444444' },
+    rightInput: { x: 2, y: 0, z: -5, color: '#444444' },
+
+    // Center Base
+    centerBase: { radius: 1.5, height: 0.6, color: '#333' },
+
+    // Arms
+    leftArm: { pivotX: -2.0, pivotY: 0.6, pivotZ: 0, color: '#FF6B6B' },
+    rightArm: { pivotX: 2.0, pivotY: 0.6, pivotZ: 0, color: '#4ECDC4' },
+
+    // Processing Stations
+    leftWrapper: { x: -6.5, y: 0, z: 0, color: '#2E7D32' },
+    rightWrapper: { x: 6.5, y: 0, z: 0, color: '#2E7D32' },
+
+    leftPaperMachine: { x: -5, y: 0, z: 3, color: '#F57F17' },
+    rightPaperMachine: { x: 5, y: 0, z: 3, color: '#F57F17' },
+
+    // Reject bins, passed by the arms on their way back to the input
+    leftRejectBin: { x: -5.2, y: 0, z: -3.2, width: 1.8, depth: 1.4, height: 0.35, color: '#B71C1C' },
+    rightRejectBin: { x: 5.2, y: 0, z: -3.2, width: 1.8, depth: 1.4, height: 0.35, color: '#B71C1C' },
+
+    // Output trays; items lie on their side in a rows × cols grid
+    leftTray: { x: -3, y: 0.1, z: 6, width: 3.5, depth: 2.5, height: 0.2, color: '#8D6E63', rows: 3, cols: 3, pitch: 0.8 },
+    rightTray: { x: 3, y: 0.1, z: 6, width: 3.5, depth: 2.5, height: 0.2, color: '#8D6E63', rows: 3, cols: 3, pitch: 0.8 },
+
+    // Bundle leaving the wrapper; its height and diameter are the SKU's
+    wrappedBundle: { bodyColor: '#CD853F', bandColor: '#FFD700', bands: [0], bandLength: 0.3, tapeWidth: 0.1, overlap: 0.3, wraps: 1, tapeThickness: 0.0015 },
+
+    baseRadius: 0.35,
+
+    // Products: bundle height and diameter in scene units, filament colour
+    // and material (density in g/cm³), strands per bundle and the seconds
+    // the wrapper and paper machine take on one bundle
+    skus: [
+      { name: 'FB-80', height: 0.8, diameter: 0.7, color: '#FF8E72', material: 'nylon 6.6', density: 1.14, strands: 1000, wrapTime: 3, paperTime: 3 },
+      { name: 'FB-60', height: 0.6, diameter: 0.66, color: '#45B7AA', material: 'nylon 6.6', density: 1.14, strands: 1330, wrapTime: 2.4, paperTime: 3 },
+      { name: 'FB-100', height: 1.0, diameter: 0.72, color: '#FFD93D', material: 'nylon 6.6', density: 1.14, strands: 800, wrapTime: 3.8, paperTime: 3.4 },
+      { name: 'PB-80', height: 0.8, diameter: 0.7, color: '#9B8AFB', material: 'PBT', density: 1.31, strands: 870, wrapTime: 3.2, paperTime: 3 }
+    ],
+
+    // Loose material at the input, drawn strand by strand: strands tilted
+    // by up to `tilt` radians and `offset` out of line along the bundle
+    looseMaterial: { strands: 240, strandRadius: 0.015, tilt: 0.2, offset: 0.06 },
+
+    // Production schedule: each arm makes `count` bundles of each SKU in
+    // turn, one per cycle, and starts over at the end of its list. A cycle
+    // in which either arm changes SKU starts with changeoverTime seconds of
+    // setup for both.
+    schedule: {
+      left: [{ sku: 'FB-80', count: 6 }, { sku: 'FB-100', count: 4 }],
+      right: [{ sku: 'FB-60', count: 6 }, { sku: 'PB-80', count: 4 }],
+      changeoverTime: 8
+    },
+
+    // Package label printed at the checkweigh (see label.js), width and
+    // height in mm: text `lines` with {field} placeholders over a barcode
+    // of the bundle ID. Lots are numbered per SKU run on each arm, label
+    // times count from shiftStart.
+    labels: {
+      width: 60,
+      height: 40,
+      lines: ['{sku} · {material}', 'NET {weight} g · GRADE {grade}', 'ARM {side} · {lot}', '{time}'],
+      lotPrefix: 'LOT',
+      shiftStart: '2025-01-06T06:00'
+    },
+
+    // Checkweigh grades in grams: grade A within gradeALimits, else grade B
+    // within gradeBLimits, else rejected (which counts against OEE quality)
+    quality: { gradeALimits: [106, 114], gradeBLimits: [100, 120] },
+
+    // Shift report rules (see shiftReport.js): an arm with at least
+    // minBundles weighed is due for calibration when any limit is broken
+    shiftReport: {
+      minBundles: 4,
+      meanOffsetLimit: 4,   // g from the centre of the grade A band
+      stdDevLimit: 2.5,     // g
+      driftLimit: 2,        // g between the first and second half of the run
+      minInSpec: 0.95       // share within the grade B band
+    },
+
+    // SPC charts (see spc.js); the spec limits are quality.gradeBLimits
+    spc: { subgroupSize: 4, baselineSubgroups: 5, binWidth: 1 },
+
+    // Language model for the report summary and auto-labeling (see
+    // ../shared/llm.js): provider is gemini, openai or local; timeouts in
+    // seconds. The API key is entered in the panel, never saved.
+    llm: {
+      provider: 'gemini',
+      gemini: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.5-flash-preview-09-2025', timeout: 30 },
+      openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', timeout: 30 },
+      local: { baseUrl: 'http://localhost:8080/v1', model: 'local-model', timeout: 120 }
+    },
+
+    // Bundle weight: the SKU's filament strands cut to the bundle height,
+    // plus tape and paper. Strand count and density vary per bundle,
+    // uniformly within ± their tolerance (a share of the SKU's value).
+    bundleWeight: {
+      filamentDiameter: 1.1608, // mm
+      strandTolerance: 0.02,
+      densityTolerance: 0.01,
+      tapeMass: 3,              // g
+      paperMass: 8              // g
+    },
+
+    // Faults at the wrappers (see ../shared/faults.js); `scheduled` cycles
+    // count from 0, e.g. { type: 'wrapperJam', cycle: 2, side: 'left' }
+    faults: {
+      inject: false,      // random faults at the program's fault points
+      autoRecover: false, // clear alarms after their repair time
+      probability: { wrapperJam: 0.03, emptyTape: 0.02 },
+      scheduled: [],
+      alarmColor: '#FF5459'
+    },
+
+    // Collision checks (see ../shared/collisions.js)
+    collisions: { enabled: true, haltOnCollision: false, margin: 0.02, highlightColor: '#FF2222' }
+  },
+
+  panel: `
+    <div class="panel">
+      <div class="analytics-card left">
+        <div class="analytics-label">Left Arm</div>
+        <div class="analytics-value" style="color: #FF6B6B;"><span id="leftArmWeight">0.00</span><span class="analytics-unit">g</span></div>
+        <div class="slider-label"><span id="leftArmCount">0</span> items</div>
+      </div>
+      <div class="analytics-card right">
+        <div class="analytics-label">Right Arm</div>
+        <div class="analytics-value" style="color: #4ECDC4;"><span id="rightArmWeight">0.00</span><span class="analytics-unit">g</span></div>
+        <div class="slider-label"><span id="rightArmCount">0</span> items</div>
+      </div>
+      <span class="info-panel">⚖️ Total weight: <span id="totalWeight">0.00</span>g</span>
+    </div>
+    <div class="panel">
+      <div class="analytics-card">
+        <div class="analytics-label">Grade A</div>
+        <div class="analytics-value" style="color: #4CAF50;"><span id="gradeACount">0</span></div>
+        <div class="slider-label"><span id="gradeARate">0.0</span>/h</div>
+      </div>
+      <div class="analytics-card">
+        <div class="analytics-label">Grade B</div>
+        <div class="analytics-value" style="color: #FFD93D;"><span id="gradeBCount">0</span></div>
+        <div class="slider-label"><span id="gradeBRate">0.0</span>/h</div>
+      </div>
+      <div class="analytics-card">
+        <div class="analytics-label">Rejects</div>
+        <div class="analytics-value" style="color: #FF5459;"><span id="gradeRejectCount">0</span></div>
+        <div class="slider-label"><span id="gradeRejectRate">0.0</span>/h</div>
+      </div>
+    </div>
+    <div class="panel" style="flex-wrap: wrap;" data-session="skip">
+      <span class="info-panel">🗓️ Schedule</span>
+      <label for="leftScheduleInput" class="slider-label" style="color: #FF6B6B;">Left</label>
+      <input type="text" id="leftScheduleInput" placeholder="FB-80 x6, FB-100 x4" style="width:170px;">
+      <label for="rightScheduleInput" class="slider-label" style="color: #4ECDC4;">Right</label>
+      <input type="text" id="rightScheduleInput" placeholder="FB-60 x6, PB-80 x4" style="width:170px;">
+      <button id="updateScheduleBtn" class="btn btn--secondary">Apply Schedule</button>
+      <span id="scheduleStatus" class="slider-label"></span>
+      <span class="slider-label">Now: <span id="leftSkuNow" style="color: #FF6B6B;">—</span> · <span id="rightSkuNow" style="color: #4ECDC4;">—</span></span>
+      <span class="slider-label">🔧 <span id="changeoverCount">0</span> changeovers · <span id="changeoverTime">0</span>s setup</span>
+    </div>
+    <div class="panel" style="flex-wrap: wrap;" data-session="skip">
+      <span class="info-panel">🏷️ Label</span>
+      <label for="labelBundle" class="slider-label">Bundle</label>
+      <input type="text" id="labelBundle" placeholder="latest" style="width:80px;">
+      <button id="labelPngBtn" class="btn btn--secondary">⬇️ PNG</button>
+      <button id="labelSvgBtn" class="btn btn--secondary">⬇️ SVG</button>
+      <span id="labelStatus" class="slider-label"></span>
+      <canvas id="labelPreview" class="spc-chart" width="240" height="160"></canvas>
+    </div>
+    <div class="panel" style="flex-wrap: wrap;">
+      <span class="info-panel">📉 SPC</span>
+      <select id="spcSide" class="btn btn--secondary">
+        <option value="left">Left arm</option>
+        <option value="right">Right arm</option>
+      </select>
+      <span id="spcCapability" class="slider-label">—</span>
+      <canvas id="spcXbar" class="spc-chart" width="320" height="140"></canvas>
+      <canvas id="spcRange" class="spc-chart" width="320" height="140"></canvas>
+      <canvas id="spcHistogram" class="spc-chart" width="320" height="140"></canvas>
+    </div>
+    <div class="panel" style="flex-wrap: wrap;">
+      <button id="analyzeBtn" class="btn btn--primary" data-session="skip">📋 Shift Report</button>
+      <label class="slider-label" data-session="skip"><input type="checkbox" id="aiSummary"> ✨ Add AI summary</label>
+      <label class="slider-label" data-session="skip"><input type="checkbox" id="aiBrandingToggle"> ✨ AI auto-labeling</label>
+      <label for="llmApiKey" class="slider-label" data-session="skip">🔑 <span id="llmProvider"></span> API key
+        <input type="password" id="llmApiKey" autocomplete="off" style="width:160px;"></label>
+      <div id="aiOutput" class="ai-output" style="display:none;">Waiting for report...</div>
+    </div>
+    <div class="panel">
+      <span class="info-panel">Production Log (<span id="weightSpec">A 106g - 114g · B 100g - 120g</span>)</span>
+      <div id="weightLog" class="log-container"></div>
+    </div>`,
+
+  create: createUpgradedCell
+});
+
+function createUpgradedCell(engine) {
+  const MACHINE_CONFIG = engine.config;
+  const scene = engine.scene;
+  const faults = engine.faults;
+
+  // TIMELINE - phases, keyframes and events live in program.js
+  // (interpreted by ../shared/timeline.js)
+  const PHASES = engine.program.phases;
+
+  let cycleTime = 0;
+  let shownCycle = 0; // cycle whose SKUs the panel shows
+
+  // Checkweigh results, from the production events (../shared/events.js)
+  const weighedItems = () => engine.events.events.filter(e => e.type === 'weighed');
+
+  const SIDES = ['left', 'right'];
+
+  // Grades in counter order, as named in the analytics ids and events
+  const GRADES = ['A', 'B', 'reject'];
+  const GRADE_LABELS = { A: 'grade A', B: 'grade B', reject: '🗑️ rejected' };
+
+  // MACHINE STATE
+  const machine = {
+    leftArmGroup: null, rightArmGroup: null,
+    leftGripper: null, rightGripper: null,
+    leftJaws: [], rightJaws: [],
+    leftObject: null, rightObject: null,
+    leftObjState: 'loose', rightObjState: 'loose',
+    leftFinishedItems: [], rightFinishedItems: [],
+    leftRejectedItems: [], rightRejectedItems: []
+  };
+
+  // DOM ELEMENTS
+  const ui = {
+    timer: document.getElementById('cycleTimer'),
+    status: document.getElementById('cycleText'),
+    log: document.getElementById('weightLog'),
+    weightSpec: document.getElementById('weightSpec'),
+    leftSchedule: document.getElementById('leftScheduleInput'),
+    rightSchedule: document.getElementById('rightScheduleInput'),
+    updateSchedule: document.getElementById('updateScheduleBtn'),
+    scheduleStatus: document.getElementById('scheduleStatus'),
+    leftSkuNow: document.getElementById('leftSkuNow'),
+    rightSkuNow: document.getElementById('rightSkuNow'),
+    changeoverCount: document.getElementById('changeoverCount'),
+    changeoverTime: document.getElementById('changeoverTime'),
+    labelBundle: document.getElementById('labelBundle'),
+    labelPng: document.getElementById('labelPngBtn'),
+    labelSvg: document.getElementById('labelSvgBtn'),
+    labelStatus: document.getElementById('labelStatus'),
+    labelPreview: document.getElementById('labelPreview'),
+    aiToggle: document.getElementById('aiBrandingToggle'),
+    aiOutput: document.getElementById('aiOutput'),
+    analyzeBtn: document.getElementById('analyzeBtn'),
+    aiSummary: document.getElementById('aiSummary'),
+    llmProvider: document.getElementById('llmProvider'),
+    llmApiKey: document.getElementById('llmApiKey'),
+    spcSide: document.getElementById('spcSide'),
+    spcCapability: document.getElementById('spcCapability'),
+    spcXbar: document.getElementById('spcXbar'),
+    spcRange: document.getElementById('spcRange'),
+    spcHistogram: document.getElementById('spcHistogram'),
+    leftArmWeight: document.getElementById('leftArmWeight'),
+    rightArmWeight: document.getElementById('rightArmWeight'),
+    leftArmCount: document.getElementById('leftArmCount'),
+    rightArmCount: document.getElementById('rightArmCount'),
+    totalWeight: document.getElementById('totalWeight'),
+    gradeACount: document.getElementById('gradeACount'),
+    gradeBCount: document.getElementById('gradeBCount'),
+    gradeRejectCount: document.getElementById('gradeRejectCount'),
+    gradeARate: document.getElementById('gradeARate'),
+    gradeBRate: document.getElementById('gradeBRate'),
+    gradeRejectRate: document.getElementById('gradeRejectRate')
+  };
+
+  ui.updateSchedule.addEventListener('click', applySchedule);
+  ui.analyzeBtn.addEventListener('click', generateShiftReport);
+  ui.labelBundle.addEventListener('change', showLabel);
+  ui.labelPng.addEventListener('click', () => downloadLabel('png'));
+  ui.labelSvg.addEventListener('click', () => downloadLabel('svg'));
+
+  // Streamed reply of the configured language model (../shared/llm.js)
+  function askModel(prompt, onText) {
+    return llmComplete(MACHINE_CONFIG.llm, ui.llmApiKey.value.trim(), prompt, onText);
+  }
+
+  function showProvider() {
+    const llm = MACHINE_CONFIG.llm;
+    ui.llmProvider.textContent = llm[llm.provider] ? `${llm.provider} (${llm[llm.provider].model})` : llm.provider;
+  }
+  showProvider();
+
+  // Shift report: the offline rule-based report (shiftReport.js), with an
+  // optional model summary underneath
+  async function generateShiftReport() {
+    const weighed = weighedItems();
+    ui.aiOutput.style.display = 'block';
+    if (weighed.length === 0) {
+      ui.aiOutput.textContent = "No production data yet. Wait for bundles to complete.";
+      return;
+    }
+
+    const report = buildShiftReport(weighed, MACHINE_CONFIG.quality, MACHINE_CONFIG.shiftReport);
+    const text = formatShiftReport(report, MACHINE_CONFIG.quality, MACHINE_CONFIG.shiftReport, engine.scrubber.time);
+    ui.aiOutput.textContent = text;
+    if (!ui.aiSummary.checked) return;
+
+    const summary = document.createElement('div');
+    summary.innerHTML = '✨ Summarizing... <div class="spinner"></div>';
+    ui.aiOutput.appendChild(summary);
+    const prompt = `
+      I am a factory manager. Here is the rule-based quality report on the filament bundles produced by the Dual-Arm system this shift:
+      ${text}
+
+      Please add a concise, professional summary (max 3 sentences) for the shift handover.
+      Keep the calibration recommendation of the report.
+    `;
+
+    let started = false;
+    try {
+      await askModel(prompt, chunk => {
+        if (!started) summary.textContent = '✨ ';
+        started = true;
+        summary.textContent += chunk;
+      });
+    } catch (error) {
+      console.error(error);
+      summary.textContent = `⚠️ ${error.message}. The report above is complete without it.`;
+    }
+  }
+
+  // AI FUNCTION: Auto Branding, streamed into the bundle's log tag
+  async function getBrandName(weight, tag) {
+    const prompt = `Create a short, cool, industrial sci-fi product code name for a filament bundle weighing ${weight}g. Return ONLY the name (e.g. "Titan-X"). No formatting.`;
+    try {
+      let name = '';
+      await askModel(prompt, chunk => {
+        name += chunk;
+        tag.textContent = `✨ ${name.trim()}`;
+      });
+    } catch (error) {
+      console.error(error);
+      tag.textContent = `⚠️ ${error.message}`;
+    }
+  }
+
+  // Floor and the teal work light; the engine provides the rest of the lighting
+  const floor = new THREE.Mesh(new THREE.PlaneGeometry(30, 30), new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.8 }));
+  floor.rotation.x = -Math.PI / 2;
+  floor.receiveShadow = true;
+  scene.add(floor);
+
+  const spot = new THREE.SpotLight(0x4ECDC4, 0.5);
+  spot.position.set(0, 10, 0);
+  scene.add(spot);
+
+  // Loose strands of a SKU, as they come from the input (see
+  // ../shared/parts.js); strand placement is drawn from `random` (see
+  // ../shared/random.js)
+  function createLooseMaterial(sku, random) {
+    return createStrandBundle(Object.assign({}, MACHINE_CONFIG.looseMaterial, {
+      radius: sku.diameter / 2,
+      height: sku.height,
+      color: sku.color
+    }), random);
+  }
+
+  // Paper-wrapped package: PAPER_THICKNESS around the bundle, so its radius
+  // is also how high it rests above a tray
+  const PAPER_THICKNESS = 0.03;
+  const BIN_WALL = 0.08; // reject bin wall and floor thickness
+  const paperRadiusOf = sku => sku.diameter / 2 + PAPER_THICKNESS;
+  // Wrapped bundle and tape settings sized to a SKU
+  const wrapConfigOf = sku => Object.assign({}, MACHINE_CONFIG.wrappedBundle, { height: sku.height, radius: sku.diameter / 2 });
+
+  // The label stays blank until the checkweigh prints it (printLabel)
+  const LABEL_PLANE_WIDTH = 0.4;
+  function createPaperPackage(height, radius) {
+    const geo = new THREE.CylinderGeometry(radius, radius, height + 0.1, 32);
+    const mat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9 });
+    const mesh = new THREE.Mesh(geo, mat);
+    const { width, height: labelHeight } = MACHINE_CONFIG.labels;
+    const label = new THREE.Mesh(
+      new THREE.PlaneGeometry(LABEL_PLANE_WIDTH, LABEL_PLANE_WIDTH * labelHeight / width),
+      new THREE.MeshBasicMaterial({ color: 0x333333 })
+    );
+    label.position.set(0, 0, radius + 0.01);
+    mesh.add(label);
+    mesh.userData.label = label;
+    mesh.castShadow = true;
+    return mesh;
+  }
+
+  // Scene sections and the MACHINE_CONFIG settings they draw; a config
+  // change rebuilds only the sections that use it
+  const SCENE_SECTIONS = {
+    leftInput: { build: () => buildStation(MACHINE_CONFIG.leftInput, "Left Input"), uses: ['leftInput'] },
+    rightInput: { build: () => buildStation(MACHINE_CONFIG.rightInput, "Right Input"), uses: ['rightInput'] },
+    leftWrapper: { build: () => { machine.leftWrapperBody = buildMachineBox(MACHINE_CONFIG.leftWrapper, "Wrapper"); }, uses: ['leftWrapper'] },
+    rightWrapper: { build: () => { machine.rightWrapperBody = buildMachineBox(MACHINE_CONFIG.rightWrapper, "Wrapper"); }, uses: ['rightWrapper'] },
+    leftPaperMachine: { build: () => buildTunnelMachine(MACHINE_CONFIG.leftPaperMachine, "Paper wrapping"), uses: ['leftPaperMachine'] },
+    rightPaperMachine: { build: () => buildTunnelMachine(MACHINE_CONFIG.rightPaperMachine, "Paper wrappings"), uses: ['rightPaperMachine'] },
+    leftTray: { build: () => buildTray(MACHINE_CONFIG.leftTray, "Left Output"), uses: ['leftTray'] },
+    rightTray: { build: () => buildTray(MACHINE_CONFIG.rightTray, "Right Output"), uses: ['rightTray'] },
+    leftRejectBin: { build: () => buildBin(MACHINE_CONFIG.leftRejectBin, "Left Rejects"), uses: ['leftRejectBin'] },
+    rightRejectBin: { build: () => buildBin(MACHINE_CONFIG.rightRejectBin, "Right Rejects"), uses: ['rightRejectBin'] },
+    robots: { build: buildRobots, uses: ['centerBase', 'leftArm', 'rightArm'] }
+  };
+
+  // Keep the schedule inputs in step with settings loaded or edited in the panel
+  function configChanged() {
+    spcChanged = true;
+    labelChanged = true;
+    showProvider();
+    showSchedule();
+    showWeightSpec();
+  }
+
+  function showWeightSpec() {
+    const { gradeALimits, gradeBLimits } = MACHINE_CONFIG.quality;
+    ui.weightSpec.textContent = `A ${gradeALimits[0]}g - ${gradeALimits[1]}g · B ${gradeBLimits[0]}g - ${gradeBLimits[1]}g`;
+  }
+  showWeightSpec();
+
+  function buildStation(cfg, text) {
+    const m = new THREE.Mesh(new THREE.BoxGeometry(2, 0.5, 2), new THREE.MeshStandardMaterial({ color: cfg.color }));
+    m.position.set(cfg.x, 0.25, cfg.z);
+    m.receiveShadow = true;
+    scene.add(m);
+    addLabel(cfg.x, 2, cfg.z, text);
+  }
+
+  function buildMachineBox(cfg, text) {
+    const g = new THREE.Group();
+    const b = new THREE.Mesh(new THREE.BoxGeometry(2, 1.5, 2), new THREE.MeshStandardMaterial({ color: cfg.color }));
+    b.position.y = 0.75;
+    g.add(b);
+    const s = new THREE.Mesh(new THREE.CylinderGeometry(0.8, 0.8, 0.2, 16), new THREE.MeshStandardMaterial({ color: 0x888888 }));
+    s.position.y = 1.6;
+    g.add(s);
+    g.position.set(cfg.x, 0, cfg.z);
+    scene.add(g);
+    addLabel(cfg.x, 2.5, cfg.z, text);
+    return b;
+  }
+
+  function buildTunnelMachine(cfg, text) {
+    const g = new THREE.Group();
+    const a = new THREE.Mesh(new THREE.TorusGeometry(1, 0.2, 8, 16, Math.PI), new THREE.MeshStandardMaterial({ color: cfg.color }));
+    a.rotation.y = Math.PI/2; a.position.y = 1;
+    g.add(a);
+    const b = new THREE.Mesh(new THREE.BoxGeometry(1.5, 1, 2.5), new THREE.MeshStandardMaterial({ color: 0x444444 }));
+    b.position.y = 0.5;
+    g.add(b);
+    g.position.set(cfg.x, 0, cfg.z);
+    scene.add(g);
+    addLabel(cfg.x, 2.5, cfg.z, text);
+  }
+
+  function buildTray(cfg, text) {
+    scene.add(createTray(cfg));
+    addLabel(cfg.x, 1, cfg.z, text);
+  }
+
+  // Open-topped bin: a floor plate and four low walls
+  function buildBin(cfg, text) {
+    const g = new THREE.Group();
+    const mat = new THREE.MeshStandardMaterial({ color: cfg.color });
+    const bottom = new THREE.Mesh(new THREE.BoxGeometry(cfg.width, BIN_WALL, cfg.depth), mat);
+    bottom.position.y = BIN_WALL / 2;
+    bottom.receiveShadow = true;
+    g.add(bottom);
+    [[0, cfg.depth / 2, cfg.width, BIN_WALL], [0, -cfg.depth / 2, cfg.width, BIN_WALL],
+     [cfg.width / 2, 0, BIN_WALL, cfg.depth], [-cfg.width / 2, 0, BIN_WALL, cfg.depth]].forEach(([x, z, w, d]) => {
+      const wall = new THREE.Mesh(new THREE.BoxGeometry(w, cfg.height, d), mat);
+      wall.position.set(x, cfg.height / 2, z);
+      g.add(wall);
+    });
+    g.position.set(cfg.x, cfg.y, cfg.z);
+    scene.add(g);
+    addLabel(cfg.x, 1.5, cfg.z, text);
+  }
+
+  function addLabel(x, y, z, text) {
+    const c = document.createElement('canvas');
+    const ctx = c.getContext('2d');
+    c.width = 256; c.height = 64;
+    ctx.fillStyle = 'rgba(0,0,0,0.5)';
+    ctx.fillRect(0,0,256,64);
+    ctx.fillStyle = 'white';
+    ctx.font = '24px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 128, 32);
+    const s = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(c), transparent: true }));
+    s.position.set(x, y, z);
+    s.scale.set(3, 0.75, 1);
+    scene.add(s);
+  }
+
+  function buildRobots() {
+    const base = new THREE.Mesh(new THREE.CylinderGeometry(1.5, 1.5, 0.6, 32), new THREE.MeshStandardMaterial({ color: MACHINE_CONFIG.centerBase.color }));
+    base.position.y = 0.3;
+    scene.add(base);
+    machine.centerBase = base;
+    machine.leftArmGroup = buildArm('left');
+    machine.rightArmGroup = buildArm('right');
+  }
+
+  function buildArm(side) {
+    const cfg = MACHINE_CONFIG[side + 'Arm'];
+    const g = new THREE.Group();
+    g.position.set(cfg.pivotX, cfg.pivotY, cfg.pivotZ);
+    const a1 = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.3, 2.5), new THREE.MeshStandardMaterial({ color: cfg.color }));
+    a1.position.z = -1.25;
+    g.add(a1);
+    const a2 = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.25, 2.0), new THREE.MeshStandardMaterial({ color: '#ffffff' }));
+    a2.position.z = -3.5;
+    g.add(a2);
+    const grip = new THREE.Group();
+    grip.position.z = -4.6;
+    g.add(grip);
+    const jGeo = new THREE.BoxGeometry(0.1, 0.2, 0.4);
+    const jMat = new THREE.MeshStandardMaterial({ color: '#333' });
+    const jL = new THREE.Mesh(jGeo, jMat); jL.position.x = -0.2;
+    const jR = new THREE.Mesh(jGeo, jMat); jR.position.x = 0.2;
+    grip.add(jL); grip.add(jR);
+    machine[side + 'Gripper'] = grip;
+    machine[side + 'Jaws'] = [jL, jR];
+    scene.add(g);
+    return g;
+  }
+
+  // ===== PRODUCTS & SCHEDULE =====
+  // Schedule rules in production.js. Names missing from `skus` fall back to
+  // the first SKU (the schedule status says so).
+  const skuList = () => MACHINE_CONFIG.skus.length ? MACHINE_CONFIG.skus : engine.defaults.skus;
+  const skuNamed = name => findSku(skuList(), name);
+  const skuFor = (side, cycle) => scheduledSku(skuList(), MACHINE_CONFIG.schedule, side, cycle);
+  const changeoversAt = cycle => scheduleChangeovers(skuList(), MACHINE_CONFIG.schedule, cycle);
+
+  function describeChangeovers(cycle) {
+    return changeoversAt(cycle).map(({ side, from, to }) => `${side.toUpperCase()} ${from.name} → ${to.name}`).join(', ');
+  }
+
+  // Schedule text as typed in the panel: "FB-80 x6, FB-100 x4"; a SKU
+  // without a count is made once
+  function parseSchedule(text, side) {
+    const entries = text.split(',').map(part => part.trim()).filter(part => part !== '');
+    if (entries.length === 0) throw new Error(`Schedule: the ${side} arm has nothing scheduled`);
+    return entries.map(part => {
+      const match = part.match(/^(.+?)(?:\s+[x×]\s*(\d+))?$/i);
+      const sku = match[1].trim();
+      const count = match[2] === undefined ? 1 : parseInt(match[2], 10);
+      if (!MACHINE_CONFIG.skus.some(item => item.name === sku)) {
+        throw new Error(`Schedule: unknown SKU "${sku}" for the ${side} arm (known: ${MACHINE_CONFIG.skus.map(item => item.name).join(', ')})`);
+      }
+      if (count < 1) throw new Error(`Schedule: "${part}" makes no bundles`);
+      return { sku, count };
+    });
+  }
+
+  function formatSchedule(queue) {
+    return queue.map(entry => `${entry.sku} x${entry.count}`).join(', ');
+  }
+
+  function showScheduleStatus(message, isError) {
+    ui.scheduleStatus.textContent = message;
+    ui.scheduleStatus.classList.toggle('config-error', !!isError);
+  }
+
+  // Inputs and status from the settings; names that match no SKU are
+  // reported, since those cycles make the first SKU instead
+  function showSchedule() {
+    const schedule = MACHINE_CONFIG.schedule;
+    ui.leftSchedule.value = formatSchedule(schedule.left);
+    ui.rightSchedule.value = formatSchedule(schedule.right);
+    const unknown = schedule.left.concat(schedule.right)
+      .map(entry => entry.sku)
+      .filter(name => !MACHINE_CONFIG.skus.some(sku => sku.name === name));
+    if (unknown.length) showScheduleStatus(`⚠️ Unknown SKU ${unknown.join(', ')}: making ${skuNamed(null).name} instead`, true);
+    else showScheduleStatus(`Changeover ${schedule.changeoverTime}s`, false);
+  }
+  showSchedule();
+
+  // A new schedule is a settings change: the run replays with it from the start
+  function applySchedule() {
+    let left;
+    let right;
+    try {
+      left = parseSchedule(ui.leftSchedule.value, 'left');
+      right = parseSchedule(ui.rightSchedule.value, 'right');
+    } catch (error) {
+      showScheduleStatus('⚠️ ' + error.message, true);
+      return;
+    }
+    MACHINE_CONFIG.schedule.left = left;
+    MACHINE_CONFIG.schedule.right = right;
+    engine.configPanel.refresh();
+    engine.applyConfig(['schedule']);
+  }
+
+  function showSkuNow(cycle) {
+    SIDES.forEach(side => {
+      const sku = skuFor(side, cycle);
+      ui[side + 'SkuNow'].textContent = `${side.toUpperCase()} ${sku.name} (${sku.material})`;
+    });
+  }
+
+  function updateChangeovers() {
+    const changeovers = engine.events.events.filter(e => e.type === 'changeover');
+    // Both arms changing together share one setup
+    const setups = new Map(changeovers.map(e => [e.time, e.duration]));
+    ui.changeoverCount.textContent = changeovers.length;
+    ui.changeoverTime.textContent = Array.from(setups.values()).reduce((sum, d) => sum + d, 0).toFixed(1);
+  }
+
+  // Production log line; set as text, since SKU names come from the settings
+  function logLine(className, text) {
+    const div = document.createElement('div');
+    div.className = `log-entry ${className}`;
+    const span = document.createElement('span');
+    span.textContent = text;
+    div.appendChild(span);
+    ui.log.prepend(div);
+    return div;
+  }
+
+  // Log line for a bundle leaving the cell, into a tray or the reject bin
+  function logItem(event) {
+    return logLine(event.side, `${event.side.toUpperCase()} ${event.sku}: ${event.weight.toFixed(2)}g · ${GRADE_LABELS[event.grade]}`);
+  }
+
+  engine.events.subscribe('changeover', event => {
+    updateChangeovers();
+    logLine(event.side, `🔧 ${event.side.toUpperCase()}: ${event.from} → ${event.to} (${event.duration}s setup)`);
+  });
+
+  engine.events.subscribe('scrapped', event => {
+    if(event.reason !== 'reject') return;
+    logItem(event);
+    updateAnalytics();
+  });
+
+  engine.events.subscribe('placed', event => {
+    const div = logItem(event);
+
+    if(ui.aiToggle && ui.aiToggle.checked && !engine.scrubber.replaying) {
+      const span = document.createElement('span');
+      span.className = 'ai-tag';
+      span.textContent = '✨ thinking...';
+      div.appendChild(span);
+      getBrandName(event.weight.toFixed(2), span);
+    }
+
+    // Update analytics
+    updateAnalytics();
+  });
+
+  // SPC of one arm (spc.js) over its checkweigh results so far; the charts
+  // are redrawn once per frame at most
+  const spcOf = side => analyzeSpc(weighedItems().filter(e => e.side === side), MACHINE_CONFIG.quality.gradeBLimits, MACHINE_CONFIG.spc);
+  const spcPanel = bindSpcPanel(spcOf, MACHINE_CONFIG.spc, {
+    side: ui.spcSide,
+    capability: ui.spcCapability,
+    xbar: ui.spcXbar,
+    range: ui.spcRange,
+    histogram: ui.spcHistogram
+  });
+  let spcChanged = true;
+  ui.spcSide.addEventListener('change', () => { spcChanged = true; });
+
+  // Each completed subgroup is checked against the Western Electric rules;
+  // a violation is flagged in the production log
+  engine.events.subscribe('weighed', event => {
+    spcChanged = true;
+    const size = MACHINE_CONFIG.spc.subgroupSize;
+    if (!SPC_FACTORS[size] || engine.events.count('weighed', event.side) % size !== 0) return;
+    const { subgroups } = spcOf(event.side);
+    const last = subgroups[subgroups.length - 1];
+    if (!last.rules || last.rules.length === 0) return;
+    logLine(`${event.side} spc-alarm`, `⚠️ ${event.side.toUpperCase()} X̄ #${subgroups.length} ${last.mean.toFixed(2)}g: ` +
+      last.rules.map(rule => `rule ${rule}, ${SPC_RULES[rule]}`).join('; '));
+  });
+
+  // PACKAGE LABELS (label.js), drawn from the checkweigh events: the panel
+  // previews the bundle named in it, or the latest one weighed
+  const LABEL_TEXTURE_PX_PER_MM = 8;
+  const LABEL_PREVIEW_PX_PER_MM = 4;
+  const LABEL_PRINT_PX_PER_MM = 300 / 25.4; // 300 dpi
+  let labelChanged = true;
+
+  // Lot of the SKU run an arm is on: a new lot at each of its changeovers
+  function lotOf(side) {
+    const run = engine.events.count('changeover', side) + 1;
+    return `${MACHINE_CONFIG.labels.lotPrefix}-${side.charAt(0).toUpperCase()}${String(run).padStart(3, '0')}`;
+  }
+
+  function labelLayoutOf(event) {
+    const template = MACHINE_CONFIG.labels;
+    return labelLayout(template, labelFields(event, skuNamed(event.sku), template));
+  }
+
+  // Print-and-apply at the checkweigh: the package's blank label gets the
+  // bundle's artwork
+  function printLabel(obj, event) {
+    const label = obj.userData.label;
+    if (!label) return;
+    const canvas = drawLabel(document.createElement('canvas'), labelLayoutOf(event), LABEL_TEXTURE_PX_PER_MM);
+    label.material.dispose();
+    label.material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas) });
+  }
+
+  function disposeLabel(obj) {
+    const label = obj.userData.label;
+    if (label && label.material.map) label.material.map.dispose();
+  }
+
+  function showLabelStatus(message, isError) {
+    ui.labelStatus.textContent = message;
+    ui.labelStatus.classList.toggle('config-error', !!isError);
+  }
+
+  // Checkweigh event of the bundle the label panel names, or the latest
+  function labelEvent() {
+    const weighed = weighedItems();
+    const id = ui.labelBundle.value.trim().toUpperCase();
+    if (!id) return weighed[weighed.length - 1] || null;
+    return weighed.find(event => event.bundle === id) || null;
+  }
+
+  function showLabel() {
+    labelChanged = false;
+    const event = labelEvent();
+    if (!event) {
+      ui.labelPreview.getContext('2d').clearRect(0, 0, ui.labelPreview.width, ui.labelPreview.height);
+      const id = ui.labelBundle.value.trim().toUpperCase();
+      showLabelStatus(id ? `⚠️ ${id} has not been weighed yet` : 'No bundle weighed yet', !!id);
+      return;
+    }
+    drawLabel(ui.labelPreview, labelLayoutOf(event), LABEL_PREVIEW_PX_PER_MM);
+    showLabelStatus(`${event.bundle} · ${event.sku} · ${event.lot}`);
+  }
+  engine.events.subscribe('weighed', () => { labelChanged = true; });
+
+  function saveFile(name, blob) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // PNG at print resolution, or SVG, of the label shown in the panel
+  function downloadLabel(kind) {
+    const event = labelEvent();
+    if (!event) {
+      showLabel();
+      return;
+    }
+    const layout = labelLayoutOf(event);
+    const name = `${event.bundle}-label.${kind}`;
+    if (kind === 'svg') {
+      saveFile(name, new Blob([labelToSVG(layout)], { type: 'image/svg+xml' }));
+    } else {
+      drawLabel(document.createElement('canvas'), layout, LABEL_PRINT_PX_PER_MM).toBlob(blob => saveFile(name, blob), 'image/png');
+    }
+  }
+
+  function updatePanel() {
+    if (labelChanged) showLabel();
+    if (!spcChanged) return;
+    spcChanged = false;
+    spcPanel.update();
+  }
+
+  function updateAnalytics() {
+    const placed = engine.events.events.filter(e => e.type === 'placed');
+    const leftWeights = placed.filter(w => w.side === 'left').map(w => w.weight);
+    const rightWeights = placed.filter(w => w.side === 'right').map(w => w.weight);
+
+    const leftTotal = leftWeights.reduce((sum, w) => sum + w, 0);
+    const rightTotal = rightWeights.reduce((sum, w) => sum + w, 0);
+    const total = leftTotal + rightTotal;
+
+    ui.leftArmWeight.textContent = leftTotal.toFixed(2);
+    ui.rightArmWeight.textContent = rightTotal.toFixed(2);
+    ui.totalWeight.textContent = total.toFixed(2);
+    ui.leftArmCount.textContent = leftWeights.length;
+    ui.rightArmCount.textContent = rightWeights.length;
+
+    // Graded bundles out of the cell, and their rate over the simulated time
+    const hours = engine.scrubber.time / 3600;
+    GRADES.forEach(grade => {
+      const key = 'grade' + grade.charAt(0).toUpperCase() + grade.slice(1);
+      const count = engine.events.events.filter(e => (e.type === 'placed' || e.type === 'scrapped') && e.grade === grade).length;
+      ui[key + 'Count'].textContent = count;
+      ui[key + 'Rate'].textContent = hours > 0 ? (count / hours).toFixed(1) : '0.0';
+    });
+  }
+
+  // One fixed step of simulated time, driven by the scrubber so any moment
+  // can be rebuilt by resetting and replaying
+  function stepSim(dt) {
+    const previousTime = cycleTime;
+    faults.update(dt);
+    // The arms share one program clock, held while either side is alarmed
+    if(!faults.isStopped()) cycleTime += dt;
+    const state = engine.timeline.advance(previousTime, cycleTime);
+    if(faults.isStopped()) {
+      ui.status.textContent = '🚨 ALARM: ' + faults.active.map(a => `${a.side.toUpperCase()} ${a.label}`).join(' | ');
+    } else if(state) {
+      ui.status.textContent = state.phase.name === 'changeover'
+        ? `${state.phase.label}: ${describeChangeovers(state.cycle)}`
+        : state.phase.label;
+    }
+    if(state) {
+      ui.timer.textContent = state.loopTime.toFixed(1) + 's';
+      if(state.cycle !== shownCycle) {
+        shownCycle = state.cycle;
+        showSkuNow(state.cycle);
+      }
+    }
+    return state;
+  }
+
+  // ALARMS: raised at the program's `fault` events by the controller in
+  // ../shared/faults.js; the wrapper that failed turns red until recovery
+  function updateAlarmVisuals() {
+    SIDES.forEach(side => {
+      const down = faults.active.some(a => a.side === side);
+      machine[side + 'WrapperBody'].material.color.set(down ? MACHINE_CONFIG.faults.alarmColor : MACHINE_CONFIG[side + 'Wrapper'].color);
+    });
+  }
+
+  // COLLISIONS: arms, the items they carry and the stations, checked every
+  // step. Items stand sunk into the input table and each arm feeds its own
+  // wrapper and paper machine at working height, so those contacts are part
+  // of the process; anything else touching is logged.
+  function collisionBodies() {
+    const station = (side, name, label) => ({ name: `${side.toUpperCase()} ${label}`, objects: engine.sections.objectsOf(side + name) });
+    return [{ name: 'CENTER base', objects: [machine.centerBase] }].concat(...SIDES.map(side => {
+      const obj = machine[side + 'Object'];
+      return [
+        { name: `${side.toUpperCase()} arm`, group: side, objects: [machine[side + 'ArmGroup']] },
+        { name: `${side.toUpperCase()} item`, group: side, objects: [obj && obj.parent !== scene ? obj : null] },
+        station(side, 'Input', 'input'),
+        station(side, 'Wrapper', 'wrapper'),
+        station(side, 'PaperMachine', 'paper machine'),
+        station(side, 'Tray', 'tray'),
+        station(side, 'RejectBin', 'reject bin')
+      ];
+    }));
+  }
+
+  function collisionAllowed(a, b) {
+    return ['LEFT', 'RIGHT'].some(side =>
+      (a === `${side} arm` || a === `${side} item`) && ['input', 'wrapper', 'paper machine', 'reject bin'].some(station => b === `${side} ${station}`));
+  }
+
+  // Scale reading for a finished item of the given SKU (see production.js).
+  // Variation rolls are keyed by side and item number, so replaying weighs
+  // every item the same.
+  function weighBundle(side, index, sku) {
+    return bundleWeightOf(MACHINE_CONFIG.bundleWeight, sku, what => engine.random(`weight:${what}:${side}:${index}`));
+  }
+
+  const gradeOf = weight => checkweighGrade(MACHINE_CONFIG.quality, weight);
+
+  // Rejects pile up in the bin two side by side; past three layers they
+  // stack on the top one. `radius` is the package's.
+  function getBinPosition(index, side, radius) {
+    const bin = MACHINE_CONFIG[side + 'RejectBin'];
+    const layer = Math.min(Math.floor(index / 2), 2);
+    return new THREE.Vector3(bin.x + ((index % 2) - 0.5) * 2 * radius, bin.y + BIN_WALL + radius * (1 + 2 * layer), bin.z);
+  }
+
+  // Tray slot for the next finished item. The right tray is filled mirrored
+  // so both sides start at the column furthest from the robot.
+  function getTrayPosition(index, side, radius) {
+    const tray = MACHINE_CONFIG[side + 'Tray'];
+    const pos = traySlotPosition(tray, index, radius);
+    if (side === 'right') pos.x = 2 * tray.x - pos.x;
+    return pos;
+  }
+
+  // TIMELINE RIG: maps program.js channels/events onto the scene.
+  // Objects carry their SKU in userData.sku; those resting in a station carry
+  // userData.station ('Wrapper', 'PaperMachine'); checkweighed ones carry
+  // userData.weighing ({ strands, weight, grade }).
+  const STATION_NAMES = { Wrapper: 'wrapper', PaperMachine: 'paper' }; // as reported in events
+
+  function buildRig() {
+    const objectOf = side => machine[side + 'Object'];
+    const inStation = (side, station) => {
+      const obj = objectOf(side);
+      return obj && obj.parent === scene && obj.userData.station === station ? obj : null;
+    };
+
+    return {
+      config: MACHINE_CONFIG,
+
+      phaseDurations: cycle => cyclePhaseDurations(skuList(), MACHINE_CONFIG.schedule, cycle),
+
+      channels: {
+        'leftArm.yaw': deg => rotateArm(machine.leftArmGroup, THREE.MathUtils.degToRad(deg)),
+        'rightArm.yaw': deg => rotateArm(machine.rightArmGroup, THREE.MathUtils.degToRad(deg)),
+        'jaws.open': xPos => {
+          [machine.leftJaws, machine.rightJaws].forEach(jaws => {
+            jaws[0].position.x = -xPos; jaws[1].position.x = xPos;
+          });
+        },
+        // Vibration of the material while the wrapper works on it
+        'objects.jitter': dx => {
+          SIDES.forEach(side => {
+            const obj = inStation(side, 'Wrapper');
+            if(obj) obj.position.x = MACHINE_CONFIG[side + 'Wrapper'].x + dx;
+          });
+        },
+        'objects.spin': deg => {
+          SIDES.forEach(side => {
+            const obj = inStation(side, 'Wrapper');
+            if(obj) obj.rotation.y = THREE.MathUtils.degToRad(deg);
+          });
+        },
+        // Tape wound on the loose material so far
+        'tape.progress': share => {
+          SIDES.forEach(side => {
+            const obj = inStation(side, 'Wrapper');
+            if(obj && machine[side + 'ObjState'] === 'loose') windTape(obj, wrapConfigOf(obj.userData.sku), share);
+          });
+        }
+      },
+
+      events: {
+        // Fault point at each wrapper with an item in it: the controller
+        // decides whether it happens
+        fault: (event, ctx) => {
+          SIDES.forEach(side => {
+            if(inStation(side, 'Wrapper')) faults.trigger(event.fault, side, ctx.cycle);
+          });
+        },
+
+        changeover: (event, ctx) => {
+          changeoversAt(ctx.cycle).forEach(({ side, from, to }) => {
+            engine.events.emit('changeover', { side, from: from.name, to: to.name, duration: MACHINE_CONFIG.schedule.changeoverTime });
+          });
+        },
+
+        spawn: (event, ctx) => {
+          SIDES.forEach(side => {
+            if(objectOf(side)) return;
+            const input = MACHINE_CONFIG[side + 'Input'];
+            const sku = skuFor(side, ctx.cycle);
+            const strands = engine.randomStream(`strands:${side}:${engine.events.count('bundle_spawned', side)}`);
+            const obj = createLooseMaterial(sku, strands);
+            obj.position.set(input.x, 0.8, input.z);
+            obj.userData.sku = sku;
+            scene.add(obj);
+            machine[side + 'Object'] = obj;
+            machine[side + 'ObjState'] = 'loose';
+            engine.events.spawn(obj, { side, sku: sku.name });
+          });
+        },
+
+        // Grippers take the objects; without an offset they keep their world pose
+        attach: (event) => {
+          SIDES.forEach(side => {
+            const obj = objectOf(side);
+            if(!obj) return;
+            engine.events.emit('picked', { bundle: obj.userData.bundleId, side, station: STATION_NAMES[obj.userData.station] || 'input' });
+            machine[side + 'Gripper'].attach(obj);
+            obj.userData.station = null;
+            if(event.offset) obj.position.set(...event.offset);
+          });
+        },
+
+        release: (event) => {
+          SIDES.forEach(side => {
+            const obj = objectOf(side);
+            if(!obj) return;
+            const station = MACHINE_CONFIG[side + event.station];
+            scene.attach(obj);
+            obj.position.set(station.x, event.y, station.z);
+            if(event.station === 'Wrapper') obj.rotation.set(0,0,0);
+            obj.userData.station = event.station;
+            engine.events.emit('inserted', { bundle: obj.userData.bundleId, side, station: STATION_NAMES[event.station] });
+          });
+        },
+
+        swap: (event) => {
+          SIDES.forEach(side => {
+            const obj = objectOf(side);
+            if(!obj) return;
+            const sku = obj.userData.sku;
+            if(event.into === 'bundled' && machine[side + 'ObjState'] === 'loose') {
+              swapGeometry(side, createWrappedBundle(wrapConfigOf(sku)));
+            } else if(event.into === 'paper' && machine[side + 'ObjState'] === 'bundled') {
+              swapGeometry(side, createPaperPackage(sku.height, paperRadiusOf(sku)));
+            } else {
+              return;
+            }
+            machine[side + 'ObjState'] = event.into;
+            const done = { bundle: objectOf(side).userData.bundleId, side, sku: sku.name };
+            if(event.into === 'paper') engine.events.emit('papered', done);
+            else engine.events.emit('wrapped', Object.assign(done, { tape: objectOf(side).userData.tape.userData.length }));
+          });
+        },
+
+        // Scale on the way to the output; the grade decides where the item goes
+        checkweigh: () => {
+          SIDES.forEach(side => {
+            const obj = objectOf(side);
+            if(!obj || obj.parent === scene || obj.userData.weighing) return;
+            const { strands, weight } = weighBundle(side, engine.events.count('weighed', side), obj.userData.sku);
+            obj.userData.weighing = { sku: obj.userData.sku.name, strands, weight, grade: gradeOf(weight), lot: lotOf(side) };
+            printLabel(obj, engine.events.emit('weighed', Object.assign({ bundle: obj.userData.bundleId, side }, obj.userData.weighing)));
+          });
+        },
+
+        drop: () => {
+          SIDES.forEach(side => {
+            const obj = objectOf(side);
+            if(!obj || obj.parent === scene || !obj.userData.weighing || obj.userData.weighing.grade === 'reject') return;
+            const finished = machine[side + 'FinishedItems'];
+            scene.attach(obj);
+            obj.position.copy(getTrayPosition(finished.length, side, paperRadiusOf(obj.userData.sku)));
+            obj.rotation.set(Math.PI/2, 0, 0);
+
+            finished.push(obj);
+            machine[side + 'Object'] = null;
+            engine.events.emit('placed', Object.assign({
+              bundle: obj.userData.bundleId,
+              side,
+              tray: 1,
+              slot: finished.length
+            }, obj.userData.weighing));
+          });
+        },
+
+        // Whatever the grippers still hold here was rejected at the checkweigh
+        reject: () => {
+          SIDES.forEach(side => {
+            const obj = objectOf(side);
+            if(!obj || obj.parent === scene) return;
+            const rejected = machine[side + 'RejectedItems'];
+            scene.attach(obj);
+            obj.position.copy(getBinPosition(rejected.length, side, paperRadiusOf(obj.userData.sku)));
+            obj.rotation.set(Math.PI/2, 0, 0);
+
+            rejected.push(obj);
+            machine[side + 'Object'] = null;
+            engine.events.emit('scrapped', Object.assign({ bundle: obj.userData.bundleId, side, reason: 'reject' }, obj.userData.weighing));
+          });
+        }
+      }
+    };
+  }
+
+  function rotateArm(group, angleY) { if(group) group.rotation.y = angleY; }
+  function swapGeometry(side, newMesh) {
+    const oldMesh = machine[side + 'Object'];
+    if(!oldMesh) return;
+    newMesh.position.copy(oldMesh.position); newMesh.rotation.copy(oldMesh.rotation);
+    newMesh.userData.station = oldMesh.userData.station;
+    newMesh.userData.bundleId = oldMesh.userData.bundleId;
+    newMesh.userData.sku = oldMesh.userData.sku;
+    scene.remove(oldMesh); scene.add(newMesh);
+    disposeStrandBundle(oldMesh);
+    machine[side + 'Object'] = newMesh;
+  }
+  function resetSim() {
+    cycleTime = 0;
+    ui.log.innerHTML = '';
+    // Held objects hang off the grippers
+    [machine.leftObject, machine.rightObject].forEach(obj => {
+      if(!obj) return;
+      obj.parent.remove(obj);
+      disposeStrandBundle(obj);
+    });
+
+    machine.leftFinishedItems.concat(machine.rightFinishedItems, machine.leftRejectedItems, machine.rightRejectedItems).forEach(disposeLabel);
+    machine.leftFinishedItems.forEach(item => scene.remove(item));
+    machine.rightFinishedItems.forEach(item => scene.remove(item));
+    machine.leftRejectedItems.forEach(item => scene.remove(item));
+    machine.rightRejectedItems.forEach(item => scene.remove(item));
+
+    machine.leftFinishedItems = [];
+    machine.rightFinishedItems = [];
+    machine.leftRejectedItems = [];
+    machine.rightRejectedItems = [];
+
+    machine.leftObject = null; machine.rightObject = null;
+    machine.leftObjState = 'loose'; machine.rightObjState = 'loose';
+    engine.timeline.applyChannels(0);
+    ui.timer.textContent = '0.0s';
+    ui.status.textContent = PHASES.find(phase => phase.end > phase.start).label;
+    shownCycle = 0;
+    showSkuNow(0);
+
+    // Reset analytics
+    updateAnalytics();
+    updateChangeovers();
+    spcChanged = true;
+    labelChanged = true;
+  }
+
+  return {
+    sections: SCENE_SECTIONS,
+    rig: buildRig(),
+    reset: resetSim,
+    step: stepSim,
+    raiseAlarm: updateAlarmVisuals,
+    clearAlarm: updateAlarmVisuals,
+    // A reset drops the report on the old run
+    clearHistory: () => { ui.aiOutput.style.display = 'none'; },
+    collisionBodies,
+    collisionAllowed,
+    configChanged,
+    updatePanel
+  };
+}